@@ -0,0 +1,133 @@
+// Local cache of source audio and converted outputs (IndexedDB, shared by the
+// offscreen document and the popup)
+
+// Keys include the SHA-1 Commons reports for the file, so a re-uploaded file
+// (same URL, new content) never hits a stale entry. Small records in `entries`
+// track size and last use; the bytes live in `data` so eviction never has to
+// load them.
+
+const DB_NAME = 'audio-cache';
+const DB_VERSION = 1;
+const ENTRIES = 'entries';
+const DATA = 'data';
+
+export const DEFAULT_CACHE_LIMIT_MB = 100;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(ENTRIES, { keyPath: 'key' }).createIndex('lastUsed', 'lastUsed');
+        db.createObjectStore(DATA);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null; // Let the next call try again
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+// Run fn(stores) in one transaction; resolves with fn's result once it commits
+async function transaction(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([ENTRIES, DATA], mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Cache transaction aborted'));
+    result = fn({ entries: tx.objectStore(ENTRIES), data: tx.objectStore(DATA) });
+  });
+}
+
+// Original file as published on Commons (null without a SHA-1: nothing to validate against)
+export function sourceCacheKey(url, sha1) {
+  return url && sha1 ? `source|${sha1}|${url}` : null;
+}
+
+// Converted output; variant covers everything that changes the encoded bytes
+export function outputCacheKey(url, sha1, variant) {
+  return url && sha1 ? `output|${sha1}|${url}|${variant}` : null;
+}
+
+/**
+ * Look up an entry and mark it as recently used.
+ * @returns {Promise<{bytes: Uint8Array, mime: string}|null>}
+ */
+export async function getCached(key) {
+  if (!key) return null;
+  return transaction('readwrite', ({ entries, data }) => {
+    const hit = {};
+    entries.get(key).onsuccess = event => {
+      const entry = event.target.result;
+      if (!entry) return;
+      hit.mime = entry.mime;
+      entries.put({ ...entry, lastUsed: Date.now() });
+      data.get(key).onsuccess = e => { hit.bytes = e.target.result; };
+    };
+    return hit;
+  }).then(hit => (hit.bytes ? hit : null));
+}
+
+/**
+ * Store bytes under key, then evict least recently used entries beyond maxBytes.
+ * The bytes are copied when this is called, so the caller may hand the buffer on.
+ */
+export async function putCached(key, bytes, mime, maxBytes) {
+  if (!key || !bytes?.byteLength || bytes.byteLength > maxBytes) return;
+  const copy = new Uint8Array(bytes); // Detached from buffers ffmpeg may take over
+  await transaction('readwrite', ({ entries, data }) => {
+    entries.put({ key, size: copy.byteLength, mime, lastUsed: Date.now() });
+    data.put(copy, key);
+  });
+  await trimCache(maxBytes);
+}
+
+// Keep the most recently used entries that fit in maxBytes, delete the rest
+export async function trimCache(maxBytes) {
+  return transaction('readwrite', ({ entries, data }) => {
+    const removed = { count: 0 };
+    let kept = 0;
+    entries.index('lastUsed').openCursor(null, 'prev').onsuccess = event => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      kept += cursor.value.size;
+      if (kept > maxBytes) {
+        data.delete(cursor.value.key);
+        cursor.delete();
+        removed.count++;
+      }
+      cursor.continue();
+    };
+    return removed;
+  }).then(removed => removed.count);
+}
+
+/** @returns {Promise<{count: number, bytes: number}>} */
+export async function cacheStats() {
+  return transaction('readonly', ({ entries }) => {
+    const stats = { count: 0, bytes: 0 };
+    entries.openCursor().onsuccess = event => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      stats.count++;
+      stats.bytes += cursor.value.size;
+      cursor.continue();
+    };
+    return stats;
+  });
+}
+
+export async function clearCache() {
+  await transaction('readwrite', ({ entries, data }) => {
+    entries.clear();
+    data.clear();
+  });
+}
@@ -1,5 +1,12 @@
 // Background script for Wiktionary audio downloads
 
+import { DEFAULT_PRESET_ID, DEFAULT_PROCESSING, getPreset } from './presets.js';
+import { DEFAULT_CACHE_LIMIT_MB } from './audio-cache.js';
+import './wiki-common.js';
+
+// Same URL, host and metadata helpers the content script uses
+const { isAudioFile, parsePageUrl, buildDownloadMessage } = globalThis.wikiCommon;
+
 // Debug logging (set to false for production)
 const DEBUG = false;
 const log = DEBUG ? console.log.bind(console) : () => {};
@@ -10,30 +17,6 @@ log('[Wiktionary Audio] Service worker loaded');
 // Track offscreen readiness
 let offscreenReady = false;
 
-// Optimized ArrayBuffer to base64 conversion with hybrid approach
-function arrayBufferToBase64(arrayBuffer) {
-  const bytes = new Uint8Array(arrayBuffer);
-  
-  try {
-    // Use fast method for smaller files (avoids call stack limits)
-    // Conservative threshold to avoid call stack overflow on large files
-    if (bytes.length < 65536) { // 64KB threshold for safety
-      return btoa(String.fromCharCode(...bytes));
-    }
-  } catch (error) {
-    logError('[Background] Fast base64 conversion failed, falling back to chunked method:', error);
-  }
-  
-  // Fall back to chunked method for larger files or if fast method fails
-  let binary = '';
-  const chunkSize = 8192; // Larger chunks for better performance
-  for (let i = 0; i < bytes.length; i += chunkSize) {
-    const chunk = bytes.subarray(i, i + chunkSize);
-    binary += String.fromCharCode(...chunk);
-  }
-  return btoa(binary);
-}
-
 // Sanitize filename to prevent download failures
 function sanitizeFilename(filename) {
   return filename
@@ -44,42 +27,126 @@ function sanitizeFilename(filename) {
     .substring(0, 255);            // Limit length
 }
 
-async function ensureOffscreenAndReady() {
-  // Avoid multiple pages; close/recreate only if needed.
-  try {
-    await chrome.offscreen.createDocument({
-      url: 'offscreen.html',
+// Stands in for tokens that rendered empty, so only the separators around them
+// are cleaned up and separators typed in the template are kept as they are
+const EMPTY_TOKEN = '\u0000';
+const EMPTY_TOKEN_RUN = /([_\- ]*)\u0000(?:[_\- ]*\u0000)*([_\- ]*)/g;
+
+// Drop empty tokens with their separators: at the edges or before the extension
+// all of them, between two values one (the one before the gap, if any)
+function collapseEmptyTokens(segment) {
+  return segment.replace(EMPTY_TOKEN_RUN, (match, before, after, offset) => {
+    const rest = segment.slice(offset + match.length);
+    if (offset === 0 || !rest || /^\.[^.]*$/.test(rest)) return '';
+    return before || after;
+  });
+}
+
+// Expand a user filename template such as "{lang}/{word}_{dialect}_{index}.{ext}".
+// Each path segment is sanitized separately so "/" creates subfolders.
+function renderFilenameTemplate(template, tokens) {
+  const expanded = template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (!(key in tokens)) return match;
+    const value = String(tokens[key] ?? '').replace(/[\/\\]/g, '_');
+    return value || EMPTY_TOKEN;
+  });
+  const segments = expanded
+    .split('/')
+    .map(segment => sanitizeFilename(collapseEmptyTokens(segment)))
+    .filter(segment => segment && segment !== '.');
+  let path = segments.join('/');
+  if (path && tokens.ext && !path.toLowerCase().endsWith(`.${tokens.ext}`.toLowerCase())) {
+    path += `.${tokens.ext}`;
+  }
+  return path;
+}
+
+// Final download path for an item; falls back to "<commons file>.<ext>"
+function buildTargetFilename(template, msg, ext, presetId) {
+  const base = msg.originalFilename.replace(/\.[^.]+$/, '');
+  const fallback = sanitizeFilename(`${base}.${ext}`);
+  if (!template || !template.trim()) return fallback;
+
+  const meta = msg.metadata || {};
+  const rendered = renderFilenameTemplate(template.trim(), {
+    word: meta.word,
+    host: meta.hostLang,
+    lang: meta.language,
+    dialect: meta.accent,
+    accent: meta.accent,
+    // First transcription without its /…/ or […] delimiters
+    ipa: (meta.ipa || '').split(',')[0].replace(/[\/\[\]]/g, '').trim(),
+    title: (meta.fileTitle || '').replace(/^[^:]+:/, '').replace(/\.[^.]+$/, ''),
+    file: base,
+    ext,
+    index: msg.index ?? 1,
+    preset: presetId || 'original'
+  });
+  return rendered || fallback;
+}
+
+// ============== OFFSCREEN DOCUMENT ==============
+// The offscreen document (and ffmpeg's wasm heap inside it) only exists while
+// there is conversion or archive work: it is created on demand and closed again
+// after the configured idle period, tracked with an alarm so the timer survives
+// service-worker restarts.
+
+const OFFSCREEN_URL = 'offscreen.html';
+const OFFSCREEN_IDLE_ALARM = 'offscreen-idle';
+const DEFAULT_CONVERTER_IDLE_MINUTES = 5;
+
+let creatingOffscreen = null; // createDocument() in flight, shared by concurrent callers
+let closingOffscreen = null;  // closeDocument() in flight; new work waits for it
+let lastOffscreenUse = 0;
+
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+  });
+  return contexts.length > 0;
+}
+
+async function ensureOffscreenDocument() {
+  if (closingOffscreen) await closingOffscreen;
+  if (await hasOffscreenDocument()) return;
+
+  if (!creatingOffscreen) {
+    log('[Background] Creating offscreen document...');
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
       reasons: [chrome.offscreen.Reason.WORKERS],
       justification: 'Run ffmpeg.wasm for audio conversion'
-    });
-    // Reset ready flag when creating new offscreen document
-    offscreenReady = false;
-  } catch (e) {
-    // If already exists, ignore (Chrome enforces single offscreen doc).
+    }).finally(() => { creatingOffscreen = null; });
   }
-  
-  // Ping the offscreen document to check if it's ready
-  log('[Background] Pinging offscreen document to check readiness...');
-  
+  try {
+    await creatingOffscreen;
+    offscreenReady = false; // New document, not pinged yet
+  } catch (error) {
+    // Chrome allows a single offscreen document; losing a creation race to an
+    // earlier worker instance is fine, anything else is a real failure
+    if (await hasOffscreenDocument()) return;
+    logError('[Background] Offscreen document creation failed:', error);
+    throw new Error(`Could not start the converter: ${error.message}`);
+  }
+}
+
+// Ask the offscreen document whether it is up; resolves with its status
+function pingOffscreen() {
   return new Promise((resolve, reject) => {
     const timeout = setTimeout(() => {
       logError('[Background] Offscreen readiness check timed out');
       reject(new Error('Offscreen document failed to respond within 5 seconds'));
     }, 5000);
     
-    // Send a ping message to check if offscreen is ready
-    chrome.runtime.sendMessage({ 
-      type: 'OFFSCREEN_PING' 
-    }, (response) => {
+    chrome.runtime.sendMessage({ type: 'OFFSCREEN_PING' }, (response) => {
       clearTimeout(timeout);
       
       if (chrome.runtime.lastError) {
         logError('[Background] Ping failed:', chrome.runtime.lastError.message);
         reject(new Error(`Offscreen ping failed: ${chrome.runtime.lastError.message}`));
       } else if (response?.ready) {
-        log('[Background] Offscreen confirmed ready via ping');
-        offscreenReady = true;
-        resolve();
+        resolve(response);
       } else {
         logError('[Background] Offscreen not ready:', response);
         reject(new Error('Offscreen document not ready'));
@@ -88,130 +155,906 @@ async function ensureOffscreenAndReady() {
   });
 }
 
-async function transcodeToWav(audioUrl, baseName) {
+async function ensureOffscreenAndReady() {
+  lastOffscreenUse = Date.now();
+  chrome.alarms.clear(OFFSCREEN_IDLE_ALARM);
+  await ensureOffscreenDocument();
+  
+  log('[Background] Pinging offscreen document to check readiness...');
+  await pingOffscreen();
+  log('[Background] Offscreen confirmed ready via ping');
+  offscreenReady = true;
+}
+
+// (Re)start the idle countdown once no offscreen job is running.
+// converterIdleMinutes = 0 keeps the document open until the browser closes.
+async function scheduleOffscreenIdleClose() {
+  lastOffscreenUse = Date.now();
+  if (offscreenJobs.size) return;
+  const { converterIdleMinutes } = await chrome.storage.sync.get({ converterIdleMinutes: DEFAULT_CONVERTER_IDLE_MINUTES });
+  const minutes = Number(converterIdleMinutes);
+  if (!(minutes > 0)) {
+    await chrome.alarms.clear(OFFSCREEN_IDLE_ALARM);
+    return;
+  }
+  chrome.alarms.create(OFFSCREEN_IDLE_ALARM, { delayInMinutes: Math.max(0.5, minutes) }); // Chrome's minimum is 30 s
+}
+
+async function closeIdleOffscreenDocument() {
+  if (!(await hasOffscreenDocument())) return;
+  const checkedAt = Date.now();
+  
+  // Blob URLs handed out for downloads die with the document, so wait for those too
+  const status = await pingOffscreen().catch(() => null);
+  if (status && (status.jobs || status.blobUrls)) {
+    log('[Background] Offscreen document still busy, postponing close:', status);
+    await scheduleOffscreenIdleClose();
+    return;
+  }
+  // Work that started while we were asking keeps the document alive
+  if (offscreenJobs.size || creatingOffscreen || lastOffscreenUse >= checkedAt) return;
+  
+  log('[Background] Closing idle offscreen document');
+  closingOffscreen = (async () => {
+    offscreenPort?.disconnect();
+    offscreenPort = null;
+    offscreenReady = false;
+    await chrome.offscreen.closeDocument();
+  })().catch(error => logError('[Background] Could not close offscreen document:', error))
+    .finally(() => { closingOffscreen = null; });
+  await closingOffscreen;
+}
+
+// What the popup shows about the converter; never starts the offscreen document
+async function converterStatus() {
+  if (!(await hasOffscreenDocument())) return { running: false };
+  const status = await pingOffscreen().catch(() => null);
+  return {
+    running: Boolean(status),
+    loaded: Boolean(status?.loaded),
+    core: status?.core || null,
+    multiThreadAvailable: Boolean(status?.multiThreadAvailable)
+  };
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name !== OFFSCREEN_IDLE_ALARM) return;
+  closeIdleOffscreenDocument().catch(error => logError('[Background] Idle check failed:', error));
+});
+
+// Load ffmpeg ahead of the first conversion, if the user asked for that
+async function prewarmConverter() {
+  const { prewarmConverter: enabled, mode } = await chrome.storage.sync.get({ prewarmConverter: false, mode: 'original' });
+  if (!enabled || mode !== 'convert') return false;
+  log('[Background] Pre-warming converter');
+  await ensureOffscreenAndReady();
+  await runOffscreenJob({ type: 'FFMPEG_PREWARM' }, { timeoutMs: 70000 }); // ffmpeg's own load timeout is 60 s
+  return true;
+}
+
+function cancelledError() {
+  const error = new Error('Conversion cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+// Work for the offscreen document goes over one Port as requests tagged with a
+// job ID. Its progress, log lines and final `<type>_COMPLETE` reply carry the
+// same ID, so concurrent jobs never see each other's results.
+let offscreenPort = null;
+const offscreenJobs = new Map();
+let jobCounter = 0;
+
+function getOffscreenPort() {
+  if (offscreenPort) return offscreenPort;
+  const port = chrome.runtime.connect({ name: 'ffmpeg' });
+  port.onMessage.addListener(message => offscreenJobs.get(message?.jobId)?.handle(message));
+  port.onDisconnect.addListener(() => {
+    log('[Background] Offscreen port disconnected, failing', offscreenJobs.size, 'job(s)');
+    if (offscreenPort === port) offscreenPort = null;
+    for (const job of [...offscreenJobs.values()]) job.fail(new Error('Offscreen document went away'));
+  });
+  offscreenPort = port;
+  return port;
+}
+
+// Send one request to the offscreen document and wait for its reply.
+// The timeout restarts whenever the job reports activity and pauses while it waits
+// in the offscreen ffmpeg queue, so only a stalled job times out; aborting signal
+// cancels the job there.
+async function runOffscreenJob(request, { onProgress, signal, timeoutMs = 90000 } = {}) {
+  // The offscreen document can't read settings, so the core choice and cache size ride along
+  const { ffmpegCore, cacheLimitMb } = await chrome.storage.sync.get({
+    ffmpegCore: 'auto',
+    cacheLimitMb: DEFAULT_CACHE_LIMIT_MB
+  });
+  if (signal?.aborted) throw cancelledError();
+  const jobId = `${Date.now().toString(36)}-${++jobCounter}`;
+  const port = getOffscreenPort();
+
+  return new Promise((resolve, reject) => {
+    let timeout;
+    const cancel = () => {
+      try {
+        port.postMessage({ type: 'FFMPEG_CANCEL', jobId });
+      } catch (e) {
+        log('[Background] Could not send cancel, port already closed');
+      }
+    };
+    const onAbort = () => {
+      log('[Background] Job cancelled by request:', jobId);
+      cancel();
+    };
+    const settle = (settleFn, value) => {
+      clearTimeout(timeout);
+      offscreenJobs.delete(jobId);
+      signal?.removeEventListener('abort', onAbort);
+      scheduleOffscreenIdleClose().catch(error => logError('[Background] Could not schedule offscreen close:', error));
+      settleFn(value);
+    };
+    const armTimeout = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        logError('[Background] Offscreen job stalled:', request.type, jobId);
+        cancel();
+        settle(reject, new Error(`${request.type} timeout - fetching or conversion took too long`));
+      }, timeoutMs);
+    };
+
+    offscreenJobs.set(jobId, {
+      handle(message) {
+        if (message.type === 'FFMPEG_PROGRESS') {
+          // A queued job stays silent until ffmpeg is free, so the stall timer only
+          // runs again once it reaches 'load' or 'convert'.
+          if (message.phase === 'queued') clearTimeout(timeout);
+          else armTimeout();
+          onProgress?.({ phase: message.phase, percent: message.percent });
+        } else if (message.type === 'FFMPEG_LOG') {
+          armTimeout();
+          log('[Background] ffmpeg:', message.message);
+        } else if (message.type === `${request.type}_COMPLETE`) {
+          log('[Background] Received', message.type, jobId, message.ok);
+          if (message.ok) settle(resolve, message);
+          else settle(reject, message.cancelled ? cancelledError() : new Error(message.error || `${request.type} failed`));
+        }
+      },
+      fail: error => settle(reject, error)
+    });
+    signal?.addEventListener('abort', onAbort);
+    armTimeout();
+    port.postMessage({ ...request, core: ffmpegCore, cacheLimitMb, jobId });
+  });
+}
+
+// onProgress receives { phase: 'fetch' | 'queued' | 'load' | 'convert', percent } from the
+// offscreen document; aborting signal cancels the conversion there.
+async function transcodeAudio(audioUrl, sha1, baseName, presetId, processing, metadata, { onProgress, signal } = {}) {
   log('[Background] Starting transcode, ensuring offscreen...');
   await ensureOffscreenAndReady();
-  log('[Background] Offscreen ready, sending URL to transcode...');
-  
-  // Add timeout to prevent hanging - longer timeout for cold FFmpeg loads
+  log('[Background] Offscreen ready, sending URL to transcode:', audioUrl.substring(0, 50) + '...');
+
+  // Send URL for offscreen to fetch directly (avoids binary transfer issues)
+  const { filename, mime, size, blobUrl } = await runOffscreenJob({
+    type: 'FFMPEG_TRANSCODE',
+    srcUrl: audioUrl,
+    sha1, // Part of the cache key; without it nothing is cached
+    outBase: baseName,
+    presetId,
+    processing,
+    metadata
+  }, { onProgress, signal });
+
+  log('[Background] Response details:', { filename, mime, size });
+  if (typeof blobUrl !== 'string' || !blobUrl.startsWith('blob:') || !size) {
+    throw new Error('Invalid audio data received from conversion');
+  }
+  return { ok: true, filename, mime, size, blobUrl };
+}
+
+// Original files go through the offscreen document too, so they come from (and
+// go into) the source cache instead of being fetched from Commons every time
+async function fetchOriginalAudio(audioUrl, sha1) {
+  log('[Background] Fetching original through offscreen (cache)...');
+  await ensureOffscreenAndReady();
+  const { size, blobUrl } = await runOffscreenJob({ type: 'SOURCE_FETCH', srcUrl: audioUrl, sha1 });
+  if (typeof blobUrl !== 'string' || !blobUrl.startsWith('blob:') || !size) {
+    throw new Error('Invalid audio data received from offscreen');
+  }
+  return blobUrl;
+}
+
+async function buildZip(request) {
+  log('[Background] Starting ZIP build, ensuring offscreen...');
+  await ensureOffscreenAndReady();
+
+  // The archive job reports no progress, so allow for every entry (each may
+  // need a conversion) before calling it stalled
+  const timeoutMs = 90000 + request.entries.length * 30000;
+  const { blobUrl, size, fileCount, failedCount, failedUrls } = await runOffscreenJob({ type: 'ZIP_BUILD', ...request }, { timeoutMs });
+
+  if (typeof blobUrl !== 'string' || !blobUrl.startsWith('blob:') || !size) {
+    throw new Error('Invalid ZIP data received from offscreen');
+  }
+  log('[Background] ZIP built:', { fileCount, failedCount, size });
+  return { blobUrl, fileCount, failedCount, failedUrls };
+}
+
+// Let the offscreen document revoke an output blob URL it created
+function releaseBlobUrl(blobUrl) {
+  chrome.runtime.sendMessage({ type: 'REVOKE_BLOB_URL', url: blobUrl }).catch(() => {
+    // Offscreen document already gone; its blob URLs went with it
+  });
+}
+
+// Save an offscreen blob URL, releasing it once the download settles
+async function downloadBlobUrl(blobUrl, filename) {
+  let downloadId;
+  try {
+    downloadId = await chrome.downloads.download({ url: blobUrl, filename, saveAs: false });
+  } catch (downloadError) {
+    releaseBlobUrl(blobUrl);
+    throw downloadError;
+  }
+  waitForDownload(downloadId)
+    .catch(error => log('[Background] Download did not complete:', error.message))
+    .finally(() => releaseBlobUrl(blobUrl));
+  return downloadId;
+}
+
+// Saved settings that shape every download
+async function getDownloadSettings() {
+  return chrome.storage.sync.get({
+    preset: DEFAULT_PRESET_ID,
+    metadataOutput: 'none', // 'none' | 'sidecar' | 'embed' | 'both'
+    filenameTemplate: '',   // Empty keeps the Commons filename
+    cacheLimitMb: DEFAULT_CACHE_LIMIT_MB, // 0 turns the audio cache off
+    ...DEFAULT_PROCESSING
+  });
+}
+
+function processingFromSettings(settings) {
+  return {
+    normalize: settings.normalize,
+    targetLufs: settings.targetLufs,
+    trimSilence: settings.trimSilence,
+    silenceThresholdDb: settings.silenceThresholdDb
+  };
+}
+
+// ============== DOWNLOAD HISTORY ==============
+// Newest first, one entry per (URL, mode, preset); re-downloads move it to the top.
+
+const HISTORY_STORAGE_KEY = 'downloadHistory';
+const HISTORY_MAX_ENTRIES = 2000;
+let historyWriteChain = Promise.resolve(); // Serializes read-modify-write cycles
+
+function historyKey(entry) {
+  return `${entry.url}|${entry.mode}|${entry.preset || ''}`;
+}
+
+function buildHistoryEntry(msg, { filename, downloadId, presetId, archive = null }) {
+  const metadata = msg.metadata || {};
+  return {
+    word: metadata.word || '',
+    language: metadata.language || '',
+    accent: metadata.accent || '',
+    fileTitle: metadata.fileTitle || msg.originalFilename,
+    url: msg.url,
+    sha1: msg.sha1 || '',
+    originalFilename: msg.originalFilename,
+    filename,
+    mode: msg.mode,
+    preset: presetId || null,
+    date: new Date().toISOString(),
+    downloadId,
+    archive,
+    metadata
+  };
+}
+
+function recordHistory(entries) {
+  historyWriteChain = historyWriteChain
+    .then(async () => {
+      const { [HISTORY_STORAGE_KEY]: history = [] } = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+      const replaced = new Set(entries.map(historyKey));
+      const next = [...entries, ...history.filter(entry => !replaced.has(historyKey(entry)))]
+        .slice(0, HISTORY_MAX_ENTRIES);
+      await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: next });
+      log('[Background] History updated:', entries.length, 'new,', next.length, 'total');
+    })
+    .catch(e => logError('[Background] Failed to record download history:', e));
+  return historyWriteChain;
+}
+
+// Only downloads that finished go into the history: an interrupted or cancelled one
+// would otherwise show as downloaded and be skipped by later batches
+function recordHistoryOnCompletion(downloadId, entries) {
+  return waitForDownload(downloadId)
+    .then(() => recordHistory(entries))
+    .catch(error => log('[Background] Not recorded in history:', downloadId, error.message));
+}
+
+// Attribution sidecar written next to the audio file (same base name, .json)
+async function downloadSidecar(audioFilename, metadata, mode, presetId) {
+  const sidecar = {
+    ...metadata,
+    audioFile: audioFilename,
+    mode,
+    preset: mode === 'convert' ? presetId : null,
+    downloadedAt: new Date().toISOString()
+  };
+  const json = JSON.stringify(sidecar, null, 2);
+  const filename = audioFilename.replace(/\.[^.]+$/, '') + '.json';
+  log('[Background] Writing metadata sidecar:', filename);
+  return chrome.downloads.download({
+    url: `data:application/json;charset=utf-8,${encodeURIComponent(json)}`,
+    filename,
+    saveAs: false
+  });
+}
+
+// Single-file conversions started from a page, by the conversion ID the page
+// chose, so it can follow their progress and cancel them
+const activeConversions = new Map();
+
+function cancelConversion(conversionId) {
+  const controller = activeConversions.get(conversionId);
+  controller?.abort();
+  return Boolean(controller);
+}
+
+// Forward conversion progress to the page that asked for it
+function conversionProgressReporter(tabId, conversionId) {
+  if (tabId == null || !conversionId) return undefined;
+  return ({ phase, percent }) => {
+    chrome.tabs.sendMessage(tabId, { type: 'CONVERSION_PROGRESS', conversionId, phase, percent }).catch(() => {
+      // Tab closed or navigated away; the conversion itself carries on
+    });
+  };
+}
+
+// Download one item in the requested mode ('original' | 'convert').
+// tabId is where conversion progress goes when the request has a conversionId.
+async function downloadAudio(msg, tabId = null) {
+  const { url, originalFilename, mode, metadata } = msg;
+  const base = sanitizeFilename(originalFilename.replace(/\.[^.]+$/, ''));
+  const settings = await getDownloadSettings();
+  const wantsSidecar = metadata && (settings.metadataOutput === 'sidecar' || settings.metadataOutput === 'both');
+  const wantsEmbed = metadata && (settings.metadataOutput === 'embed' || settings.metadataOutput === 'both');
+
+  if (mode === 'convert') {
+    // Preset may come with the request; otherwise use the saved choice
+    const preset = getPreset(msg.preset || settings.preset);
+    const processing = processingFromSettings(settings);
+    log('[Background] Convert mode - sending URL to offscreen for transcoding, preset:', preset.id);
+    const controller = new AbortController();
+    if (msg.conversionId) activeConversions.set(msg.conversionId, controller);
+    // Pass URL directly to offscreen (avoids binary transfer issues)
+    try {
+      const { ok, filename, size, blobUrl, error } = await transcodeAudio(url, msg.sha1, base, preset.id, processing, wantsEmbed ? metadata : null, {
+        onProgress: conversionProgressReporter(tabId, msg.conversionId),
+        signal: controller.signal
+      });
+      log('[Background] transcodeAudio returned:', { ok, filename, size, error });
+      
+      if (!ok) throw new Error(error || 'ffmpeg failed');
+      
+      const sanitizedFilename = buildTargetFilename(settings.filenameTemplate, msg, preset.ext, preset.id);
+      log('[Background] Target filename:', sanitizedFilename, 'from', filename);
+      
+      log('[Background] Starting chrome.downloads.download from offscreen blob URL...');
+      const downloadId = await downloadBlobUrl(blobUrl, sanitizedFilename);
+      log('[Background] Download initiated successfully, ID:', downloadId);
+      log('[Background] Conversion download completed:', sanitizedFilename);
+
+      if (wantsSidecar) await downloadSidecar(sanitizedFilename, metadata, mode, preset.id);
+      recordHistoryOnCompletion(downloadId, [buildHistoryEntry(msg, { filename: sanitizedFilename, downloadId, presetId: preset.id })]);
+      return { downloadId, filename: sanitizedFilename };
+    } catch (conversionError) {
+      if (!conversionError.cancelled) {
+        logError('[Background] Conversion/download error:', conversionError);
+        logError('[Background] Error stack:', conversionError.stack);
+      }
+      throw conversionError;
+    } finally {
+      if (msg.conversionId) activeConversions.delete(msg.conversionId);
+    }
+  }
+
+  // 'original' (tags can't be embedded without re-encoding, so only the sidecar applies)
+  log('[Background] Original mode - downloading with original filename');
+  const originalExt = (originalFilename.match(/\.([^.]+)$/) || [])[1] || 'ogg';
+  const sanitizedOriginal = buildTargetFilename(settings.filenameTemplate, msg, originalExt, null);
+  // Without a SHA-1 or with the cache off there is nothing to cache, so the browser fetches it
+  const downloadId = msg.sha1 && settings.cacheLimitMb > 0
+    ? await downloadBlobUrl(await fetchOriginalAudio(url, msg.sha1), sanitizedOriginal)
+    : await chrome.downloads.download({ url, filename: sanitizedOriginal });
+  if (wantsSidecar) await downloadSidecar(sanitizedOriginal, metadata, mode, null);
+  recordHistoryOnCompletion(downloadId, [buildHistoryEntry(msg, { filename: sanitizedOriginal, downloadId, presetId: null })]);
+  return { downloadId, filename: sanitizedOriginal };
+}
+
+// Bundle many items (optionally converted) plus manifests into one archive
+async function downloadZip(msg) {
+  const { items = [], mode, archiveName, layout = 'files' } = msg;
+  const settings = await getDownloadSettings();
+  const convert = mode === 'convert';
+  const anki = layout === 'anki';
+  const embedMetadata = settings.metadataOutput === 'embed' || settings.metadataOutput === 'both';
+
+  const preset = getPreset(settings.preset);
+
+  const entries = items.map((item, i) => {
+    const ext = convert ? preset.ext : ((item.originalFilename.match(/\.([^.]+)$/) || [])[1] || 'ogg');
+    const path = buildTargetFilename(settings.filenameTemplate, { index: i + 1, ...item }, ext, convert ? preset.id : null);
+    return {
+      url: item.url,
+      sha1: item.sha1 || '',
+      // Archive path, already templated (may include subfolders).
+      // Anki media must be flat, so subfolders become part of the name.
+      filename: anki ? path.replace(/\//g, '_') : path,
+      metadata: item.metadata || {}
+    };
+  });
+
+  const { blobUrl, fileCount, failedCount, failedUrls = [] } = await buildZip({
+    entries,
+    convert,
+    presetId: preset.id,
+    processing: processingFromSettings(settings),
+    embedMetadata,
+    layout,
+    deckName: archiveName || 'Wiktionary audio'
+  });
+
+  const filename = sanitizeFilename(`${archiveName || 'wiktionary-audio'}${anki ? '-anki' : ''}.zip`);
+  const downloadId = await downloadBlobUrl(blobUrl, filename);
+  log('[Background] ZIP download initiated, ID:', downloadId);
+
+  const failed = new Set(failedUrls);
+  recordHistoryOnCompletion(downloadId, items
+    .map((item, i) => ({ item, entry: entries[i] }))
+    .filter(({ item }) => !failed.has(item.url))
+    .map(({ item, entry }) => buildHistoryEntry({ ...item, mode }, {
+      filename: entry.filename,
+      downloadId,
+      presetId: convert ? preset.id : null,
+      archive: filename
+    })));
+  return { downloadId, filename, fileCount, failedCount };
+}
+
+// ============== DOWNLOAD QUEUE ==============
+// Batch downloads run through a job queue mirrored to chrome.storage.local so
+// it survives service-worker restarts. Progress is pushed to the sender tab.
+
+const QUEUE_STORAGE_KEY = 'downloadQueue';
+const QUEUE_RETRY_ALARM = 'download-queue-retry';
+const QUEUE_DEFAULTS = { queueConcurrency: 2, queueMaxRetries: 3 };
+const RETRY_BASE_DELAY_MS = 2000;
+
+let queueJobs = null;      // In-memory copy of the stored queue
+let queueLoadPromise = null;
+let queueRetryTimer = null;
+const runningJobIds = new Set();
+
+const logQueueError = error => logError('[Background] Download queue error:', error);
+
+async function loadQueue() {
+  if (queueJobs) return queueJobs;
+  if (!queueLoadPromise) {
+    queueLoadPromise = (async () => {
+      const { [QUEUE_STORAGE_KEY]: stored = [] } = await chrome.storage.local.get(QUEUE_STORAGE_KEY);
+      // Jobs that were running when the worker stopped start over
+      queueJobs = stored.map(job => job.status === 'running' ? { ...job, status: 'pending' } : job);
+      log('[Background] Queue loaded:', queueJobs.length, 'jobs');
+      return queueJobs;
+    })().catch(error => {
+      queueLoadPromise = null; // Let the next pump try again
+      throw error;
+    });
+  }
+  return queueLoadPromise;
+}
+
+function saveQueue() {
+  return chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: queueJobs });
+}
+
+const DOWNLOAD_STALL_MS = 5 * 60 * 1000;
+const DOWNLOAD_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Resolve when a download finishes; reject with the interrupt reason otherwise.
+// A download that receives no bytes for DOWNLOAD_STALL_MS (paused, or left
+// in_progress by Chrome) is cancelled, so it can't hold a queue slot forever.
+function waitForDownload(downloadId) {
   return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      logError('[Background] Transcoding timeout after 90s');
-      reject(new Error('Transcoding timeout - FFmpeg load or conversion took too long'));
-    }, 90000); // 90 second timeout for FFmpeg cold start
-    
-    log('[Background] Using URL-based transfer, audioUrl:', audioUrl.substring(0, 50) + '...');
-    
-    // Create Port connection for triggering the conversion
-    const port = chrome.runtime.connect({ name: 'ffmpeg' });
-    
-    // Listen for the completion message via runtime.onMessage
-    const messageListener = (message, sender, sendResponse) => {
-      if (message.type === 'FFMPEG_TRANSCODE_COMPLETE') {
-        clearTimeout(timeout);
-        chrome.runtime.onMessage.removeListener(messageListener);
-        
-        log('[Background] Received transcode completion:', message?.ok);
-        log('[Background] Message keys:', Object.keys(message || {}));
-        
-        const { ok, filename, audioBytes } = message || {};
-        log('[Background] Response details:', {
-          ok,
-          filename,
-          isArray: Array.isArray(audioBytes),
-          arrayLength: audioBytes?.length,
-          firstBytes: audioBytes?.slice(0, 10)
-        });
-        
-        if (!ok) {
-          logError('[Background] Transcode failed:', message.error);
-          reject(new Error(message.error || 'Transcode failed'));
-        } else if (!Array.isArray(audioBytes) || !audioBytes.length) {
-          logError('[Background] No valid audio bytes array received:', message);
-          reject(new Error('Invalid audio data received from conversion'));
-        } else {
-          try {
-            // Convert regular array back to Uint8Array
-            const uint8Array = new Uint8Array(audioBytes);
-            log('[Background] Reconstructed Uint8Array, size:', uint8Array.length);
-            log('[Background] About to resolve with ArrayBuffer');
-            resolve({ ok: true, filename, arrayBuffer: uint8Array.buffer });
-          } catch (reconstructError) {
-            logError('[Background] Error during Uint8Array reconstruction:', reconstructError);
-            reject(new Error(`Failed to reconstruct audio data: ${reconstructError.message}`));
-          }
+    let settled = false;
+    let lastBytes = -1;
+    let lastProgressAt = Date.now();
+    const finish = (state, error) => {
+      if (settled) return;
+      settled = true;
+      clearInterval(stallTimer);
+      chrome.downloads.onChanged.removeListener(listener);
+      if (state === 'complete') resolve();
+      else reject(new Error(`Download interrupted: ${error || 'unknown'}`));
+    };
+    const listener = (delta) => {
+      if (delta.id !== downloadId || !delta.state) return;
+      if (delta.state.current === 'complete') finish('complete');
+      else if (delta.state.current === 'interrupted') finish('interrupted', delta.error?.current);
+    };
+    // Also catches a download that was already over before the listener was attached
+    const check = async () => {
+      try {
+        const [item] = await chrome.downloads.search({ id: downloadId });
+        if (item?.state === 'complete') return finish('complete');
+        if (item?.state === 'interrupted') return finish('interrupted', item.error);
+        if (item && item.bytesReceived !== lastBytes) {
+          lastBytes = item.bytesReceived;
+          lastProgressAt = Date.now();
         }
+      } catch (error) {
+        log('[Background] Download lookup failed:', downloadId, error.message);
+      }
+      if (Date.now() - lastProgressAt >= DOWNLOAD_STALL_MS) {
+        chrome.downloads.cancel(downloadId).catch(() => {});
+        finish('interrupted', 'STALLED_TIMEOUT');
       }
     };
-    
-    chrome.runtime.onMessage.addListener(messageListener);
+    chrome.downloads.onChanged.addListener(listener);
+    const stallTimer = setInterval(check, DOWNLOAD_CHECK_INTERVAL_MS);
+    check();
+  });
+}
+
+// HTTP/network failures are worth retrying; bad input or ffmpeg errors are not
+function isRetryableError(error) {
+  const message = String(error?.message || error);
+  return /Fetch failed: (408|429|5\d\d)|Failed to fetch|NetworkError|NETWORK_|SERVER_FAILED|SERVER_UNAVAILABLE|timeout/i.test(message);
+}
+
+function notifyBatchProgress(batchId) {
+  const jobs = queueJobs.filter(job => job.batchId === batchId);
+  if (!jobs.length) return;
+  const count = status => jobs.filter(job => job.status === status).length;
+  const progress = {
+    type: 'QUEUE_PROGRESS',
+    batchId,
+    total: jobs.length,
+    done: count('done'),
+    failed: count('failed'),
+    running: count('running'),
+    jobs: jobs.map(job => ({ position: job.position, status: job.status, mode: job.request.mode, error: job.error }))
+  };
+  const { tabId } = jobs[0];
+  if (tabId == null) return;
+  chrome.tabs.sendMessage(tabId, progress).catch(() => {
+    // Tab closed or navigated away; the queue keeps going regardless
+  });
+}
 
-    // Send URL for offscreen to fetch directly (avoids binary transfer issues)
-    port.postMessage({
-      type: 'FFMPEG_TRANSCODE_TO_WAV',
-      srcUrl: audioUrl,
-      outBase: baseName
+async function enqueueDownloads(requests, tabId) {
+  await loadQueue();
+  const batchId = `batch-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  requests.forEach((request, position) => {
+    queueJobs.push({
+      id: `${batchId}-${position}`,
+      batchId,
+      tabId,
+      position,
+      request,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: 0,
+      error: null
     });
   });
+  try {
+    await saveQueue();
+  } catch (error) {
+    // The caller is told it failed, so don't run the batch behind its back
+    queueJobs = queueJobs.filter(job => job.batchId !== batchId);
+    throw error;
+  }
+  log('[Background] Enqueued batch', batchId, 'with', requests.length, 'jobs');
+  notifyBatchProgress(batchId);
+  pumpQueue().catch(logQueueError);
+  return { batchId, total: requests.length };
+}
+
+// Drop batches whose jobs have all finished
+function pruneFinishedBatches() {
+  const unfinished = new Set(
+    queueJobs.filter(job => job.status !== 'done' && job.status !== 'failed').map(job => job.batchId)
+  );
+  queueJobs = queueJobs.filter(job => unfinished.has(job.batchId));
+}
+
+// Never rejects: any failure, storage included, ends as a failed or pending job
+async function runJob(job, maxRetries) {
+  job.status = 'running';
+  job.attempts++;
+
+  try {
+    await saveQueue();
+    notifyBatchProgress(job.batchId);
+    const { downloadId } = await downloadAudio(job.request);
+    await waitForDownload(downloadId);
+    job.status = 'done';
+    job.error = null;
+  } catch (error) {
+    logError('[Background] Queue job failed:', job.id, 'attempt', job.attempts, error);
+    job.error = String(error?.message || error);
+    if (isRetryableError(error) && job.attempts <= maxRetries) {
+      // Exponential backoff with a little jitter: 2s, 4s, 8s, ...
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1) * (0.8 + Math.random() * 0.4);
+      job.status = 'pending';
+      job.nextAttemptAt = Date.now() + delay;
+    } else {
+      job.status = 'failed';
+    }
+  } finally {
+    runningJobIds.delete(job.id);
+  }
+
+  notifyBatchProgress(job.batchId);
+  pruneFinishedBatches();
+  await saveQueue().catch(logQueueError);
+  pumpQueue().catch(logQueueError);
 }
 
-chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+async function pumpQueue() {
+  await loadQueue();
+  const settings = await chrome.storage.sync.get(QUEUE_DEFAULTS);
+  const concurrency = Math.min(6, Math.max(1, Number(settings.queueConcurrency) || 1));
+  const maxRetries = Math.min(5, Math.max(0, Number(settings.queueMaxRetries) || 0));
+  const now = Date.now();
+
+  for (const job of queueJobs) {
+    if (runningJobIds.size >= concurrency) break;
+    if (job.status !== 'pending' || runningJobIds.has(job.id) || job.nextAttemptAt > now) continue;
+    runningJobIds.add(job.id);
+    runJob(job, maxRetries).catch(logQueueError);
+  }
+
+  // Retry on time with a timer while the worker is alive. Alarms fire 30 s at
+  // the earliest, so the alarm only wakes a worker suspended in the meantime.
+  const waiting = queueJobs.filter(job => job.status === 'pending' && job.nextAttemptAt > now);
+  if (waiting.length) {
+    const when = Math.min(...waiting.map(job => job.nextAttemptAt));
+    clearTimeout(queueRetryTimer);
+    queueRetryTimer = setTimeout(() => pumpQueue().catch(logQueueError), when - now);
+    chrome.alarms.create(QUEUE_RETRY_ALARM, { when });
+  }
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === QUEUE_RETRY_ALARM) pumpQueue().catch(logQueueError);
+});
+
+// Resume any queue left over from a previous service-worker instance
+pumpQueue().catch(e => logError('[Background] Failed to resume download queue:', e));
+
+// ============== CONTEXT MENU ==============
+// Right-click entries on audio players and links to audio file pages. The file
+// is resolved through the Action API and saved like a panel download.
+
+const MENU_DOWNLOAD_ORIGINAL = 'download-original';
+const MENU_DOWNLOAD_PRESET = 'download-preset';
+const MENU_COPY_URL = 'copy-direct-url';
+
+// Pages the content script runs on (it performs clipboard copies)
+const MENU_DOCUMENT_PATTERNS = chrome.runtime.getManifest().content_scripts[0].matches;
+
+// Player sources and file page links, including localized File: namespaces
+const MENU_TARGET_PATTERNS = [
+  '*://upload.wikimedia.org/*',
+  '*://*/wiki/File:*',
+  '*://*/wiki/Media:*',
+  '*://*/wiki/Image:*',
+  '*://*/wiki/Datei:*',
+  '*://*/wiki/Fichier:*',
+  '*://*/wiki/Archivo:*',
+  '*://*/wiki/%E3%83%95%E3%82%A1%E3%82%A4%E3%83%AB:*', // ファイル
+  '*://*/wiki/%E6%96%87%E4%BB%B6:*'                    // 文件
+];
+
+function presetMenuTitle(presetId) {
+  return `Download as ${getPreset(presetId).label}`;
+}
+
+// contextMenus methods only return Promises from Chrome 123 (the manifest allows 116),
+// so they are called with callbacks
+function removeAllContextMenus() {
+  return new Promise((resolve, reject) => {
+    chrome.contextMenus.removeAll(() => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve();
+    });
+  });
+}
+
+async function setupContextMenus() {
+  const { preset } = await getDownloadSettings();
+  await removeAllContextMenus();
+  const shared = {
+    contexts: ['audio', 'link'],
+    documentUrlPatterns: MENU_DOCUMENT_PATTERNS,
+    targetUrlPatterns: MENU_TARGET_PATTERNS
+  };
+  chrome.contextMenus.create({ id: MENU_DOWNLOAD_ORIGINAL, title: 'Download original', ...shared });
+  chrome.contextMenus.create({ id: MENU_DOWNLOAD_PRESET, title: presetMenuTitle(preset), ...shared });
+  chrome.contextMenus.create({ id: MENU_COPY_URL, title: 'Copy direct URL', ...shared });
+}
+
+// File title and wiki for a player source or a file page link
+function fileRefFromUrl(rawUrl) {
+  const url = new URL(rawUrl);
+  if (url.hostname === 'upload.wikimedia.org') {
+    // /<project>/<wiki>/[transcoded/]a/ab/<File>[/<size or format>.<File>]
+    const match = url.pathname.match(/^\/(\w+)\/([\w-]+)\/(?:transcoded\/)?[0-9a-f]\/[0-9a-f]{2}\/([^/]+)/);
+    if (!match) return null;
+    const [, project, wiki, file] = match;
+    const host = wiki === 'commons' ? 'commons.wikimedia.org' : `${wiki}.${project}.org`;
+    return { host, title: `File:${decodeURIComponent(file).replace(/_/g, ' ')}` };
+  }
+  const { host, title } = parsePageUrl(rawUrl);
+  return title ? { host, title } : null;
+}
+
+async function resolveFileInfo({ host, title }) {
+  const params = new URLSearchParams({
+    action: 'query',
+    titles: title,
+    prop: 'imageinfo',
+    iiprop: 'url|mime|sha1|extmetadata',
+    format: 'json',
+    formatversion: '2'
+  });
+  const response = await fetch(`https://${host}/w/api.php?${params}`, { credentials: 'omit' });
+  if (!response.ok) throw new Error(`Action API returned ${response.status}`);
+  const data = await response.json();
+  const page = data?.query?.pages?.[0];
+  const info = page?.imageinfo?.[0];
+  if (!info?.url) throw new Error(`No file found for ${title}`);
+  if (!isAudioFile(info.url, info.mime)) throw new Error(`${page.title} is not an audio file`);
+  return { title: page.title, ...info };
+}
+
+// DOWNLOAD_AUDIO request for a resolved file, built like a panel download
+// (language/accent/IPA are unknown here)
+function contextDownloadMessage(info, mode, pageUrl) {
+  const { host, title } = pageUrl ? parsePageUrl(pageUrl) : { host: '', title: '' };
+  const item = {
+    title: info.title,
+    url: info.url,
+    filename: decodeURIComponent(info.url.split('/').pop() || 'audio'),
+    descriptionUrl: info.descriptionurl || '',
+    sha1: info.sha1 || '',
+    license: info.extmetadata || {}
+  };
+  return buildDownloadMessage(item, mode, { title, host, url: pageUrl || '' });
+}
+
+async function handleContextMenuClick(info, tab) {
+  const ref = fileRefFromUrl(info.srcUrl || info.linkUrl);
+  if (!ref) throw new Error('Not a Wikimedia file URL');
+  const file = await resolveFileInfo(ref);
+  log('[Background] Context menu target resolved:', file.title, file.url);
+
+  if (info.menuItemId === MENU_COPY_URL) {
+    if (tab?.id == null) throw new Error('No tab to copy from');
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'COPY_TEXT', text: file.url });
+    if (!response?.ok) throw new Error('Copy to clipboard failed');
+    return;
+  }
+
+  const mode = info.menuItemId === MENU_DOWNLOAD_PRESET ? 'convert' : 'original';
+  await downloadAudio(contextDownloadMessage(file, mode, info.pageUrl));
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  setupContextMenus().catch(e => logError('[Background] Failed to create context menus:', e));
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab).catch(e => {
+    logError('[Background] Context menu action failed:', e);
+    // Tell the user in the page; nothing else shows that the click did nothing
+    if (tab?.id == null) return;
+    chrome.tabs.sendMessage(tab.id, { type: 'CONTEXT_MENU_FAILED', error: e.message })
+      .catch(() => log('[Background] Could not report context menu failure to the tab'));
+  });
+});
+
+// Keep the preset entry's title in sync with the popup
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes.preset) {
+    chrome.contextMenus.update(MENU_DOWNLOAD_PRESET, { title: presetMenuTitle(changes.preset.newValue) }, () => {
+      if (chrome.runtime.lastError) logError('[Background] Failed to update context menu:', chrome.runtime.lastError.message);
+    });
+  }
+});
+
+// ============== KEYBOARD SHORTCUTS ==============
+// Commands are declared in the manifest (rebindable at chrome://extensions/shortcuts)
+// and relayed to the content script of the active tab.
+
+const OUTPUT_MODES = ['original', 'convert'];
+
+async function handleCommand(command, tab) {
+  const message = { type: 'RUN_COMMAND', command };
+  if (command === 'cycle-mode') {
+    const { mode } = await chrome.storage.sync.get({ mode: 'original' });
+    message.mode = OUTPUT_MODES[(OUTPUT_MODES.indexOf(mode) + 1) % OUTPUT_MODES.length];
+    await chrome.storage.sync.set({ mode: message.mode });
+    log('[Background] Output mode switched to', message.mode);
+  }
+
+  const tabId = tab?.id ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+  if (tabId == null) return;
+  try {
+    await chrome.tabs.sendMessage(tabId, message);
+  } catch (error) {
+    // No content script on this tab (not a supported wiki page)
+    log('[Background] Command not delivered:', command, error.message);
+  }
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleCommand(command, tab).catch(e => logError('[Background] Command failed:', command, e));
+});
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     if (msg?.type === 'DOWNLOAD_AUDIO') {
       log('[Background] Received DOWNLOAD_AUDIO message:', { url: msg.url?.substring(0, 50) + '...', mode: msg.mode, filename: msg.originalFilename });
-      const { url, originalFilename, mode } = msg; // mode: 'original' | 'convert'
-      const base = sanitizeFilename(originalFilename.replace(/\.[^.]+$/, ''));
-
-      if (mode === 'convert') {
-        log('[Background] Convert mode - sending URL to offscreen for transcoding...');
-        // Pass URL directly to offscreen (avoids binary transfer issues)
-        try {
-          const { ok, filename, arrayBuffer, error } = await transcodeToWav(url, base);
-          log('[Background] transcodeToWav returned:', { ok, filename, hasArrayBuffer: !!arrayBuffer, error });
-          
-          if (!ok) throw new Error(error || 'ffmpeg failed');
-          if (!(arrayBuffer instanceof ArrayBuffer) || !arrayBuffer.byteLength) {
-            throw new Error('Invalid audio data received from conversion');
-          }
-          
-          log('[Background] Creating data URL from ArrayBuffer, size:', arrayBuffer.byteLength);
-          
-          // Convert ArrayBuffer to base64 using optimized hybrid approach
-          const base64 = arrayBufferToBase64(arrayBuffer);
-          const dataUrl = `data:audio/wav;base64,${base64}`;
-          
-          log('[Background] Data URL created, size:', dataUrl.length);
-          
-          const sanitizedFilename = sanitizeFilename(filename);
-          log('[Background] Sanitized filename:', sanitizedFilename);
-          
-          log('[Background] Starting chrome.downloads.download...');
-          const downloadId = await chrome.downloads.download({ 
-            url: dataUrl, 
-            filename: sanitizedFilename,
-            saveAs: false 
-          });
-          log('[Background] Download initiated successfully, ID:', downloadId);
-          log('[Background] WAV conversion download completed:', sanitizedFilename);
-          
-        } catch (conversionError) {
-          logError('[Background] Conversion/download error:', conversionError);
-          logError('[Background] Error stack:', conversionError.stack);
-          throw conversionError;
-        }
-        sendResponse({ ok: true });
+      try {
+        await downloadAudio(msg, sender.tab?.id);
+      } catch (e) {
+        if (!e.cancelled) throw e;
+        sendResponse({ ok: false, cancelled: true });
         return;
       }
+      sendResponse({ ok: true });
+      return;
+    }
 
-
-      // 'original'
-      log('[Background] Original mode - downloading with original filename');
-      const sanitizedOriginal = sanitizeFilename(originalFilename);
-      await chrome.downloads.download({ url, filename: sanitizedOriginal });
+    if (msg?.type === 'PREWARM_CONVERTER') {
+      // Answer right away; loading ffmpeg can take a while and nobody waits for it
+      prewarmConverter().catch(e => logError('[Background] Converter pre-warm failed:', e));
       sendResponse({ ok: true });
       return;
     }
 
+    if (msg?.type === 'GET_CONVERTER_STATUS') {
+      sendResponse({ ok: true, ...(await converterStatus()) });
+      return;
+    }
+
+    if (msg?.type === 'CANCEL_CONVERSION') {
+      log('[Background] Received CANCEL_CONVERSION message:', msg.conversionId);
+      sendResponse({ ok: cancelConversion(msg.conversionId) });
+      return;
+    }
+
+    if (msg?.type === 'ENQUEUE_DOWNLOADS') {
+      log('[Background] Received ENQUEUE_DOWNLOADS message:', { count: msg.items?.length });
+      if (!Array.isArray(msg.items) || !msg.items.length) throw new Error('No items to enqueue');
+      const { batchId, total } = await enqueueDownloads(msg.items, sender.tab?.id);
+      sendResponse({ ok: true, batchId, total });
+      return;
+    }
+
+    if (msg?.type === 'DOWNLOAD_ZIP') {
+      log('[Background] Received DOWNLOAD_ZIP message:', { count: msg.items?.length, mode: msg.mode });
+      const { fileCount, failedCount } = await downloadZip(msg);
+      sendResponse({ ok: true, fileCount, failedCount });
+      return;
+    }
+
     // Unknown message type
     sendResponse({ ok: false, error: 'Unknown message type' });
   })().catch(e => {
@@ -220,4 +1063,4 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   });
 
   return true; // async
-});
\ No newline at end of file
+});
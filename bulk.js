@@ -0,0 +1,246 @@
+// Bulk page: discover and download audio for a list of Wiktionary entries
+// Discovery helpers (discoverAudio, annotateItemsFromDom, ...) come from discovery.js,
+// buildDownloadMessage and friends from wiki-common.js.
+
+const wordsInput = document.getElementById('words');
+const csvInput = document.getElementById('csv-file');
+const editionInput = document.getElementById('edition');
+const languageInput = document.getElementById('language');
+const outputSelect = document.getElementById('output');
+const delayInput = document.getElementById('delay');
+const startButton = document.getElementById('start');
+const stopButton = document.getElementById('stop');
+const progressText = document.getElementById('progress');
+const progressBar = document.getElementById('progress-bar');
+const resultsTable = document.getElementById('results');
+const resultsBody = resultsTable.querySelector('tbody');
+
+let stopRequested = false;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Unique, non-empty lines; "#" starts a comment line
+function parseWordList(text) {
+  const seen = new Set();
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .filter(word => !seen.has(word) && seen.add(word));
+}
+
+// Minimal CSV/TSV parser (quoted fields, doubled quotes)
+function parseCsvRows(text) {
+  const delimiter = text.split('\n', 1)[0].includes('\t') ? '\t' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+// Words from a "word"/"title"/"headword" column, else the first column
+function wordsFromCsv(text) {
+  const rows = parseCsvRows(text);
+  if (!rows.length) return [];
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const column = header.findIndex(cell => ['word', 'title', 'headword', 'term'].includes(cell));
+  const body = column === -1 ? rows : rows.slice(1);
+  return body.map(r => (r[Math.max(column, 0)] || '').trim()).filter(Boolean);
+}
+
+function sendMessageWithTimeout(message, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error(`Message timeout after ${timeoutMs}ms`)), timeoutMs);
+    chrome.runtime.sendMessage(message, response => {
+      clearTimeout(timeout);
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(response);
+    });
+  });
+}
+
+function setProgress(text, done, total) {
+  progressText.textContent = text;
+  progressBar.hidden = !total;
+  progressBar.max = total || 1;
+  progressBar.value = done || 0;
+}
+
+function addResultRow(word) {
+  const tr = document.createElement('tr');
+  const cells = [word, '…', 'Searching…'].map(text => {
+    const td = document.createElement('td');
+    td.textContent = text;
+    tr.appendChild(td);
+    return td;
+  });
+  resultsBody.appendChild(tr);
+  resultsTable.hidden = false;
+  return {
+    update(count, status, kind) {
+      cells[1].textContent = count;
+      cells[2].textContent = status;
+      cells[2].className = `status-${kind}`;
+    }
+  };
+}
+
+// Language section labels for the entry, from the REST Parsoid HTML
+async function annotateFromPageHtml(items, word, host) {
+  try {
+    const url = `https://${host}/api/rest_v1/page/html/${encodeURIComponent(word)}`;
+    const r = await fetch(url, { credentials: 'omit' });
+    if (!r.ok) return;
+    const doc = new DOMParser().parseFromString(await r.text(), 'text/html');
+    annotateItemsFromDom(items, doc.body, word);
+  } catch (error) {
+    logError('[Bulk] Could not load page HTML for', word, error);
+  }
+}
+
+async function discoverWord(word, host, languages) {
+  const items = await discoverAudio(word, host);
+  if (!items.length) return [];
+  await annotateFromPageHtml(items, word, host);
+  const kept = languages.length
+    ? items.filter(item => languages.includes((item.language || '').toLowerCase()))
+    : items;
+  kept.forEach((item, i) => { item.index = i + 1; });
+  kept.categoryLimit = items.categoryLimit; // Set when a category was cut off
+  return kept;
+}
+
+// Result status for a word; a cut-off category says how much of it was read
+function foundStatus(items) {
+  const limit = items.categoryLimit;
+  return limit ? `Found (first ${limit.shown} of ${limit.total ?? `${limit.shown}+`} files)` : 'Found';
+}
+
+async function downloadResults(messages, output, delayMs) {
+  if (output === 'zip' || output === 'anki') {
+    setProgress(`Building ZIP with ${messages.length} clips…`, 0, 0);
+    const { mode } = messages[0];
+    const date = new Date().toISOString().slice(0, 10);
+    const response = await sendMessageWithTimeout({
+      type: 'DOWNLOAD_ZIP',
+      mode,
+      layout: output === 'anki' ? 'anki' : 'files',
+      archiveName: `wiktionary-bulk-${editionInput.value.trim()}-${date}`,
+      items: messages
+    }, 120000 + messages.length * 30000);
+    if (!response?.ok) throw new Error(response?.error || 'ZIP download failed');
+    return { ok: response.fileCount, failed: response.failedCount };
+  }
+
+  let ok = 0;
+  let failed = 0;
+  for (const [i, message] of messages.entries()) {
+    if (stopRequested) break;
+    setProgress(`Downloading ${i + 1}/${messages.length}…`, i, messages.length);
+    try {
+      const response = await sendMessageWithTimeout(message, message.mode === 'convert' ? 120000 : 90000);
+      if (response?.ok) ok++;
+      else failed++;
+    } catch (error) {
+      logError('[Bulk] Download failed:', message.originalFilename, error);
+      failed++;
+    }
+    await sleep(delayMs);
+  }
+  return { ok, failed };
+}
+
+async function runBulk() {
+  const words = parseWordList(wordsInput.value);
+  const edition = editionInput.value.trim().toLowerCase();
+  if (!words.length) {
+    setProgress('Enter at least one word.', 0, 0);
+    return;
+  }
+  if (!/^[a-z]{2,3}(-[a-z]+)*$/.test(edition)) {
+    setProgress('Enter a valid edition code, e.g. en.', 0, 0);
+    return;
+  }
+
+  const host = `${edition}.wiktionary.org`;
+  const languages = languageInput.value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const delayMs = Math.min(10000, Math.max(100, Number(delayInput.value) || 500));
+  const { mode } = await chrome.storage.sync.get({ mode: 'original' });
+
+  stopRequested = false;
+  startButton.disabled = true;
+  stopButton.disabled = false;
+  resultsBody.textContent = '';
+
+  const messages = [];
+  try {
+    for (const [i, word] of words.entries()) {
+      if (stopRequested) break;
+      setProgress(`Searching ${i + 1}/${words.length}: ${word} · ${messages.length} clips found`, i, words.length);
+      const row = addResultRow(word);
+      try {
+        const items = await discoverWord(word, host, languages);
+        const page = { title: word, host, url: pageUrl(host, word) };
+        items.forEach(item => messages.push(buildDownloadMessage(item, mode, page)));
+        row.update(items.length, items.length ? foundStatus(items) : 'No audio', items.length ? 'ok' : 'empty');
+      } catch (error) {
+        logError('[Bulk] Discovery failed for', word, error);
+        row.update(0, `Error: ${error.message}`, 'error');
+      }
+      await sleep(delayMs); // Be gentle with the wiki APIs
+    }
+
+    if (!messages.length) {
+      setProgress(stopRequested ? 'Stopped.' : 'No audio found.', 0, 0);
+      return;
+    }
+    if (stopRequested) {
+      setProgress(`Stopped. ${messages.length} clips found, nothing downloaded.`, 0, 0);
+      return;
+    }
+
+    const { ok, failed } = await downloadResults(messages, outputSelect.value, delayMs);
+    const summary = `Done: ${ok} downloaded${failed ? `, ${failed} failed` : ''}.`;
+    setProgress(stopRequested ? `Stopped. ${summary}` : summary, 1, 1);
+  } catch (error) {
+    logError('[Bulk] Bulk run failed:', error);
+    setProgress(`Failed: ${error.message}`, 0, 0);
+  } finally {
+    startButton.disabled = false;
+    stopButton.disabled = true;
+  }
+}
+
+csvInput.addEventListener('change', async () => {
+  const file = csvInput.files?.[0];
+  if (!file) return;
+  const words = wordsFromCsv(await file.text());
+  wordsInput.value = words.join('\n');
+  setProgress(`Loaded ${words.length} words from ${file.name}.`, 0, 0);
+});
+
+startButton.addEventListener('click', runBulk);
+stopButton.addEventListener('click', () => {
+  stopRequested = true;
+  stopButton.disabled = true;
+  setProgress('Stopping after the current request…', 0, 0);
+});
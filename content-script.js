@@ -1,10 +1,8 @@
 // Content script for WAV-first Wiktionary audio downloads
 // Based on production-grade plan with REST API discovery
 
-// Debug logging (set to false for production)
-const DEBUG = false;
-const log = DEBUG ? console.log.bind(console) : () => {};
-const logError = console.error.bind(console); // Always log errors
+// Debug logging helpers (log, logError) and the discovery/metadata functions
+// come from discovery.js, which the manifest loads before this script.
 
 // ============== EXTENSION CONTEXT HELPERS ==============
 
@@ -76,9 +74,30 @@ const i18n = {
   en: {
     downloadButton: 'Download',
     downloadAllButton: 'Download All',
+    downloadZipButton: 'Download ZIP',
+    ankiButton: 'Anki deck',
+    otherLanguages: 'Other',
+    hiddenByFilter: 'hidden by language filter',
+    categoryLimit: 'Showing the first {shown} of {total} files in this category',
+    preferredAccent: 'Preferred accent',
+    playPreview: 'Play',
+    pausePreview: 'Pause',
+    playNextHint: 'Alt+. plays the next clip',
     audioFiles: 'Audio Files',
     downloaded: 'Downloaded',
     failed: 'Failed',
+    converting: 'converting…',
+    downloadingStatus: 'downloading…',
+    retrying: 'retrying…',
+    alreadyDownloaded: 'Downloaded before',
+    nothingNew: 'Nothing new',
+    modeOriginal: 'Mode: Original',
+    modeConvert: 'Mode: Convert',
+    noPreferredClip: 'No clip in your preferred languages',
+    noAudioOnPage: 'No audio on this page',
+    contextMenuFailed: 'Could not process this audio file',
+    cancelButton: 'Cancel',
+    cancelled: 'Cancelled',
     preparingConverter: '⏳ Preparing converter (first-time)...',
     extensionReloaded: 'Extension Reloaded',
     refreshMessage: 'Please refresh this page to continue using Wiktionary Audio Downloader.',
@@ -87,9 +106,30 @@ const i18n = {
   de: {
     downloadButton: 'Download',
     downloadAllButton: 'Alle herunterladen',
+    downloadZipButton: 'Als ZIP herunterladen',
+    ankiButton: 'Anki-Deck',
+    otherLanguages: 'Andere',
+    hiddenByFilter: 'durch Sprachfilter ausgeblendet',
+    categoryLimit: 'Die ersten {shown} von {total} Dateien dieser Kategorie',
+    preferredAccent: 'Bevorzugter Akzent',
+    playPreview: 'Abspielen',
+    pausePreview: 'Pause',
+    playNextHint: 'Alt+. spielt den nächsten Clip',
     audioFiles: 'Audiodateien',
     downloaded: 'Heruntergeladen',
     failed: 'Fehlgeschlagen',
+    converting: 'konvertiere…',
+    downloadingStatus: 'lade herunter…',
+    retrying: 'neuer Versuch…',
+    alreadyDownloaded: 'Bereits heruntergeladen',
+    nothingNew: 'Nichts Neues',
+    modeOriginal: 'Modus: Original',
+    modeConvert: 'Modus: Konvertieren',
+    noPreferredClip: 'Keine Aufnahme in Ihren bevorzugten Sprachen',
+    noAudioOnPage: 'Keine Audiodateien auf dieser Seite',
+    contextMenuFailed: 'Diese Audiodatei konnte nicht verarbeitet werden',
+    cancelButton: 'Abbrechen',
+    cancelled: 'Abgebrochen',
     preparingConverter: '⏳ Konverter vorbereiten (erstmalig)...',
     extensionReloaded: 'Extension neu geladen',
     refreshMessage: 'Bitte aktualisiere diese Seite, um Wiktionary Audio Downloader weiter zu verwenden.',
@@ -98,9 +138,30 @@ const i18n = {
   fr: {
     downloadButton: 'Télécharger',
     downloadAllButton: 'Tout télécharger',
+    downloadZipButton: 'Télécharger en ZIP',
+    ankiButton: 'Paquet Anki',
+    otherLanguages: 'Autres',
+    hiddenByFilter: 'masqués par le filtre de langue',
+    categoryLimit: 'Les {shown} premiers des {total} fichiers de cette catégorie',
+    preferredAccent: 'Accent préféré',
+    playPreview: 'Écouter',
+    pausePreview: 'Pause',
+    playNextHint: 'Alt+. lit le clip suivant',
     audioFiles: 'Fichiers audio',
     downloaded: 'Téléchargé',
     failed: 'Échec',
+    converting: 'conversion…',
+    downloadingStatus: 'téléchargement…',
+    retrying: 'nouvel essai…',
+    alreadyDownloaded: 'Déjà téléchargé',
+    nothingNew: 'Rien de nouveau',
+    modeOriginal: 'Mode : original',
+    modeConvert: 'Mode : conversion',
+    noPreferredClip: 'Aucun extrait dans vos langues préférées',
+    noAudioOnPage: 'Aucun audio sur cette page',
+    contextMenuFailed: 'Impossible de traiter ce fichier audio',
+    cancelButton: 'Annuler',
+    cancelled: 'Annulé',
     preparingConverter: '⏳ Préparation du convertisseur (première fois)...',
     extensionReloaded: 'Extension rechargée',
     refreshMessage: 'Veuillez actualiser cette page pour continuer à utiliser Wiktionary Audio Downloader.',
@@ -109,9 +170,30 @@ const i18n = {
   es: {
     downloadButton: 'Descargar',
     downloadAllButton: 'Descargar todo',
+    downloadZipButton: 'Descargar ZIP',
+    ankiButton: 'Mazo de Anki',
+    otherLanguages: 'Otros',
+    hiddenByFilter: 'ocultos por el filtro de idioma',
+    categoryLimit: 'Se muestran los primeros {shown} de {total} archivos de esta categoría',
+    preferredAccent: 'Acento preferido',
+    playPreview: 'Reproducir',
+    pausePreview: 'Pausa',
+    playNextHint: 'Alt+. reproduce el siguiente clip',
     audioFiles: 'Archivos de audio',
     downloaded: 'Descargado',
     failed: 'Falló',
+    converting: 'convirtiendo…',
+    downloadingStatus: 'descargando…',
+    retrying: 'reintentando…',
+    alreadyDownloaded: 'Ya descargado',
+    nothingNew: 'Nada nuevo',
+    modeOriginal: 'Modo: original',
+    modeConvert: 'Modo: convertir',
+    noPreferredClip: 'Ningún audio en tus idiomas preferidos',
+    noAudioOnPage: 'No hay audio en esta página',
+    contextMenuFailed: 'No se pudo procesar este archivo de audio',
+    cancelButton: 'Cancelar',
+    cancelled: 'Cancelado',
     preparingConverter: '⏳ Preparando convertidor (primera vez)...',
     extensionReloaded: 'Extensión recargada',
     refreshMessage: 'Por favor actualiza esta página para continuar usando Wiktionary Audio Downloader.',
@@ -120,9 +202,30 @@ const i18n = {
   it: {
     downloadButton: 'Scarica',
     downloadAllButton: 'Scarica tutto',
+    downloadZipButton: 'Scarica ZIP',
+    ankiButton: 'Mazzo Anki',
+    otherLanguages: 'Altro',
+    hiddenByFilter: 'nascosti dal filtro lingua',
+    categoryLimit: 'Primi {shown} di {total} file di questa categoria',
+    preferredAccent: 'Accento preferito',
+    playPreview: 'Riproduci',
+    pausePreview: 'Pausa',
+    playNextHint: 'Alt+. riproduce il clip successivo',
     audioFiles: 'File audio',
     downloaded: 'Scaricato',
     failed: 'Fallito',
+    converting: 'conversione…',
+    downloadingStatus: 'download…',
+    retrying: 'nuovo tentativo…',
+    alreadyDownloaded: 'Già scaricato',
+    nothingNew: 'Niente di nuovo',
+    modeOriginal: 'Modalità: originale',
+    modeConvert: 'Modalità: converti',
+    noPreferredClip: 'Nessuna clip nelle lingue preferite',
+    noAudioOnPage: 'Nessun audio in questa pagina',
+    contextMenuFailed: 'Impossibile elaborare questo file audio',
+    cancelButton: 'Annulla',
+    cancelled: 'Annullato',
     preparingConverter: '⏳ Preparazione convertitore (prima volta)...',
     extensionReloaded: 'Estensione ricaricata',
     refreshMessage: 'Si prega di aggiornare questa pagina per continuare a utilizzare Wiktionary Audio Downloader.',
@@ -131,9 +234,30 @@ const i18n = {
   ja: {
     downloadButton: 'ダウンロード',
     downloadAllButton: 'すべてダウンロード',
+    downloadZipButton: 'ZIPでダウンロード',
+    ankiButton: 'Ankiデッキ',
+    otherLanguages: 'その他',
+    hiddenByFilter: '件が言語フィルターで非表示',
+    categoryLimit: 'このカテゴリの {total} ファイル中、最初の {shown} 件を表示',
+    preferredAccent: '優先アクセント',
+    playPreview: '再生',
+    pausePreview: '一時停止',
+    playNextHint: 'Alt+. で次のクリップを再生',
     audioFiles: '音声ファイル',
     downloaded: 'ダウンロード済み',
     failed: '失敗',
+    converting: '変換中…',
+    downloadingStatus: 'ダウンロード中…',
+    retrying: '再試行中…',
+    alreadyDownloaded: 'ダウンロード済み（以前）',
+    nothingNew: '新しいものはありません',
+    modeOriginal: 'モード: オリジナル',
+    modeConvert: 'モード: 変換',
+    noPreferredClip: '優先言語の音声がありません',
+    noAudioOnPage: 'このページに音声はありません',
+    contextMenuFailed: 'この音声ファイルを処理できませんでした',
+    cancelButton: 'キャンセル',
+    cancelled: 'キャンセルしました',
     preparingConverter: '⏳ コンバーター準備中（初回）...',
     extensionReloaded: '拡張機能が再読み込みされました',
     refreshMessage: 'Wiktionary Audio Downloaderを続けて使用するには、このページを更新してください。',
@@ -142,9 +266,30 @@ const i18n = {
   zh: {
     downloadButton: '下载',
     downloadAllButton: '下载全部',
+    downloadZipButton: '下载 ZIP',
+    ankiButton: 'Anki 牌组',
+    otherLanguages: '其他',
+    hiddenByFilter: '个被语言筛选隐藏',
+    categoryLimit: '显示此分类 {total} 个文件中的前 {shown} 个',
+    preferredAccent: '首选口音',
+    playPreview: '播放',
+    pausePreview: '暂停',
+    playNextHint: 'Alt+. 播放下一个片段',
     audioFiles: '音频文件',
     downloaded: '已下载',
     failed: '失败',
+    converting: '转换中…',
+    downloadingStatus: '下载中…',
+    retrying: '重试中…',
+    alreadyDownloaded: '之前已下载',
+    nothingNew: '没有新内容',
+    modeOriginal: '模式：原始',
+    modeConvert: '模式：转换',
+    noPreferredClip: '没有首选语言的音频',
+    noAudioOnPage: '此页面没有音频',
+    contextMenuFailed: '无法处理此音频文件',
+    cancelButton: '取消',
+    cancelled: '已取消',
     preparingConverter: '⏳ 准备转换器（首次）...',
     extensionReloaded: '扩展已重新加载',
     refreshMessage: '请刷新此页面以继续使用Wiktionary Audio Downloader。',
@@ -152,135 +297,336 @@ const i18n = {
   }
 };
 
-// Get current language from URL
+// Get current language from the host, mobile included (Commons from its interface language)
 const getCurrentLanguage = () => {
-  const match = location.hostname.match(/^([a-z]{2,3})\.wiktionary\.org$/);
-  const lang = match ? match[1] : 'en';
+  const lang = hostLanguage(location.hostname) || (document.documentElement.lang || 'en').split('-')[0];
   return i18n[lang] ? lang : 'en'; // Fallback to English
 };
 
 const currentLang = getCurrentLanguage();
 const t = i18n[currentLang];
 
-// ============== API FUNCTIONS ==============
-
-const title = decodeURIComponent(location.pathname.split("/wiki/")[1] || "");
-
-// Enhanced audio format detection
-function isAudioFile(filename, mimeType) {
-  // Primary: MIME type detection
-  if (mimeType) {
-    const audioMimeTypes = [
-      'audio/mpeg',     // MP3
-      'audio/mp3',      // MP3 (alternative)
-      'audio/ogg',      // OGG Vorbis/Opus
-      'audio/wav',      // WAV
-      'audio/wave',     // WAV (alternative)
-      'audio/webm',     // WebM Audio
-      'audio/mp4',      // M4A/AAC in MP4
-      'audio/aac',      // AAC
-      'audio/x-aac',    // AAC (alternative)
-      'audio/flac',     // FLAC
-      'audio/x-flac',   // FLAC (alternative)
-      'audio/opus',     // Opus
-      'audio/3gpp',     // 3GP audio
-      'audio/amr',      // AMR
-      'audio/x-ms-wma', // WMA
-      'video/ogg',      // OGV with audio (Theora+Vorbis)
-      'video/webm'      // WebM with audio
-    ];
-    if (audioMimeTypes.includes(mimeType.toLowerCase())) {
-      return true;
-    }
-  }
-  
-  // Fallback: Extended file extension matching
-  if (filename && typeof filename === "string") {
-    return /\.(ogg|oga|opus|mp3|wav|wave|webm|m4a|aac|flac|wma|amr|3gp|3ga)$/i.test(filename);
-  }
-  
-  return false;
-}
-
-async function listAudioFileTitles(pageTitle) {
-  const rest = `https://${location.host}/api/rest_v1/page/media-list/${encodeURIComponent(pageTitle)}`;
-  const r = await fetch(rest, { credentials: "omit" });
-  if (!r.ok) return [];
-  const j = await r.json();
-  return (j.items || [])
-    .filter(it => {
-      // Accept any item with audio_type or that looks like an audio file
-      const hasAudioType = it.audio_type && it.audio_type !== "unknown";
-      const looksLikeAudio = isAudioFile(it.title, null);
-      return hasAudioType || looksLikeAudio;
-    })
-    .map(it => it.title);
-}
-
-async function resolveDirectUrls(fileTitles) {
-  if (!fileTitles.length) return [];
-  const api = `https://${location.host}/w/api.php`;
-  const p = new URLSearchParams({
-    action: "query",
-    titles: fileTitles.join("|"),
-    prop: "imageinfo",
-    iiprop: "url|mime|extmetadata",
-    format: "json",
-    origin: "*"
+// ============== PAGE ==============
+
+// Canonical { title, host, url, namespace }, resolved before discovery runs
+let currentPage = null;
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+  })[c]);
+}
+
+// ============== LANGUAGE / ACCENT PREFERENCES ==============
+
+function parsePreferenceList(value) {
+  return String(value || "")
+    .split(",")
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+async function loadPanelPreferences() {
+  const { preferredLanguages, preferredAccents, hideOtherLanguages } = await chrome.storage.sync.get({
+    preferredLanguages: '',
+    preferredAccents: '',
+    hideOtherLanguages: false
   });
-  
-  log('[Wiktionary Audio] Resolving URLs for titles:', fileTitles);
-  const r = await fetch(`${api}?${p}`, { credentials: "omit" });
-  const j = await r.json();
-  log('[Wiktionary Audio] Action API response:', j);
-  
-  const out = [];
-  for (const pg of Object.values(j?.query?.pages || {})) {
-    const ii = pg?.imageinfo?.[0];
-    log('[Wiktionary Audio] Processing page:', pg.title, 'imageinfo:', ii);
-    
-    if (ii?.url && isAudioFile(ii.url, ii.mime)) {
-      out.push({
-        title: pg.title,
-        url: ii.url,
-        filename: decodeURIComponent(ii.url.split("/").pop() || "audio"),
-        license: ii.extmetadata || {}
-      });
-    }
+  return {
+    languages: parsePreferenceList(preferredLanguages),
+    accents: parsePreferenceList(preferredAccents),
+    hideOthers: hideOtherLanguages
+  };
+}
+
+// Case-insensitive match on whole label or one of its words ("Austrian" ~ "Austria")
+function matchesPreference(label, preferences) {
+  const value = (label || "").toLowerCase();
+  if (!value) return false;
+  const words = value.split(/[\s,/()·-]+/).filter(Boolean);
+  return preferences.some(pref =>
+    value === pref ||
+    words.includes(pref) ||
+    (pref.length >= 4 && words.some(word => word.length >= 4 && (word.startsWith(pref) || pref.startsWith(word))))
+  );
+}
+
+// Group items by language: preferred languages first (in the user's order), then
+// the rest in page order, unknown last. Preferred accents sort first in each group.
+function arrangeItems(items, prefs) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = item.language || "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+    item.preferredAccent = prefs.accents.length > 0 && matchesPreference(item.accent, prefs.accents);
   }
-  return out;
+
+  const rank = language => {
+    const i = prefs.languages.findIndex(pref => matchesPreference(language, [pref]));
+    return i === -1 ? prefs.languages.length + (language ? 0 : 1) : i;
+  };
+  const ordered = Array.from(groups.entries())
+    .map(([language, groupItems], order) => ({ language, items: groupItems, order, rank: rank(language) }))
+    .sort((a, b) => a.rank - b.rank || a.order - b.order);
+
+  const filtering = prefs.hideOthers && prefs.languages.length > 0;
+  const shown = filtering ? ordered.filter(g => g.rank < prefs.languages.length) : ordered;
+  for (const group of shown) {
+    // Array.prototype.sort is stable, so page order is kept within each tier
+    group.items.sort((a, b) => Number(b.preferredAccent) - Number(a.preferredAccent));
+  }
+
+  const visible = shown.flatMap(g => g.items);
+  return { groups: shown, visible, hiddenCount: items.length - visible.length };
 }
 
 // ============== UI CREATION ==============
+// The panel lives in a closed shadow root: page CSS can't restyle it and its
+// styles can't leak into the page. Colors come from variables switched by theme.
+
+const PANEL_STYLES = `
+  :host {
+    all: initial;
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    z-index: 2147483647;
+  }
+  .panel {
+    --bg: #fff;
+    --fg: #202124;
+    --muted: #5f6368;
+    --border: #eee;
+    --row-border: #f6f6f6;
+    --group-bg: #f8f9fa;
+    --hover: #f0f1f3;
+    --accent: #1a73e8;
+    --accent-hover: #1557b0;
+    --track: #e8eaed;
+    --ok: #188038;
+    --play-bg: #fff;
+    --play-border: #dadce0;
+    background: var(--bg);
+    color: var(--fg);
+    font: 13px system-ui, sans-serif;
+    border-radius: 12px;
+    box-shadow: 0 8px 28px rgba(0,0,0,.25);
+    min-width: 260px;
+    max-width: 360px;
+  }
+  .panel[data-theme="dark"] {
+    --bg: #202122;
+    --fg: #eaecf0;
+    --muted: #a2a9b1;
+    --border: #3a3b3d;
+    --row-border: #2c2d2f;
+    --group-bg: #27292d;
+    --hover: #323437;
+    --accent: #4d80e6;
+    --accent-hover: #6d96ec;
+    --track: #3a3b3d;
+    --ok: #81c995;
+    --play-bg: #2c2d2f;
+    --play-border: #54595d;
+    box-shadow: 0 8px 28px rgba(0,0,0,.6);
+  }
+  .header {
+    padding: 10px 12px;
+    border-bottom: 1px solid var(--border);
+    font-weight: 600;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    cursor: move;
+    user-select: none;
+    touch-action: none;
+  }
+  .minimize {
+    border: 0;
+    background: none;
+    color: var(--muted);
+    cursor: pointer;
+    font-size: 16px;
+    padding: 4px;
+    border-radius: 4px;
+  }
+  .minimize:hover { background: var(--hover); }
+  .list { max-height: 260px; overflow: auto; }
+  .group {
+    padding: 6px 12px;
+    background: var(--group-bg);
+    color: var(--muted);
+    font-size: 11px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: .03em;
+  }
+  .row {
+    display: flex;
+    gap: 6px;
+    align-items: center;
+    padding: 8px 12px;
+    border-bottom: 1px solid var(--row-border);
+  }
+  .row-text { flex: 1; min-width: 0; }
+  .name { word-break: break-all; }
+  .star { color: #f9ab00; }
+  .details, .note, .history { font-size: 11px; color: var(--muted); margin-top: 2px; }
+  .note { padding: 6px 12px; margin: 0; }
+  .ipa { font-size: 12px; margin-top: 2px; }
+  .ipa-accent { color: var(--muted); font-size: 11px; }
+  .history { display: none; color: var(--ok); }
+  .progress {
+    height: 3px;
+    margin-top: 4px;
+    background: var(--track);
+    border-radius: 2px;
+    overflow: hidden;
+    visibility: hidden;
+  }
+  .progress > div { height: 100%; width: 0; background: var(--accent); }
+  .play {
+    border: 1px solid var(--play-border);
+    border-radius: 50%;
+    width: 28px;
+    height: 28px;
+    padding: 0;
+    background: var(--play-bg);
+    color: var(--accent);
+    cursor: pointer;
+    flex: none;
+  }
+  .action {
+    border: 0;
+    border-radius: 8px;
+    padding: 6px 12px;
+    background: var(--accent);
+    color: #fff;
+    font: inherit;
+    cursor: pointer;
+    transition: background 0.2s ease;
+  }
+  .action:hover:not(:disabled) { background: var(--accent-hover); }
+  .cancel {
+    border: 1px solid var(--play-border);
+    border-radius: 8px;
+    padding: 5px 10px;
+    background: var(--play-bg);
+    color: var(--muted);
+    font: inherit;
+    cursor: pointer;
+  }
+  .cancel[hidden] { display: none; }
+  .footer { display: flex; flex-wrap: wrap; gap: 8px; padding: 10px 12px; }
+  .footer .action { padding: 8px 12px; }
+  .panel.minimized .list, .panel.minimized .footer { display: none; }
+  .panel.minimized .header { border-bottom: 0; }
+  button:focus-visible { outline: 2px solid var(--accent); outline-offset: 1px; }
+`;
+
+// Minimized state and dragged position, shared by every page
+async function loadPanelState() {
+  const { panelState } = await chrome.storage.local.get({ panelState: { minimized: false, position: null } });
+  return panelState;
+}
+
+function savePanelState(state) {
+  chrome.storage.local.set({ panelState: state })
+    .catch(error => logError('[Wiktionary Audio] Could not save panel state:', error));
+}
+
+// Wikimedia skins' night mode: chosen explicitly, or "automatic" with a dark OS theme
+function pageUsesDarkTheme() {
+  const classes = document.documentElement.classList;
+  if (classes.contains("skin-theme-clientpref-night")) return true;
+  return classes.contains("skin-theme-clientpref-os") && matchMedia("(prefers-color-scheme: dark)").matches;
+}
+
+// Place the panel at a dragged position, kept inside the viewport
+function applyPanelPosition(host, position) {
+  if (!position) return;
+  const { width, height } = host.getBoundingClientRect();
+  const left = Math.max(0, Math.min(position.left, window.innerWidth - width));
+  const top = Math.max(0, Math.min(position.top, window.innerHeight - height));
+  Object.assign(host.style, { left: `${left}px`, top: `${top}px`, right: "auto", bottom: "auto" });
+}
+
+// "Showing the first 500 of 12345 files"; the total is unknown if categoryinfo failed
+function categoryLimitText({ shown, total }) {
+  return t.categoryLimit.replace('{shown}', shown).replace('{total}', total ?? `${shown}+`);
+}
 
-function createUI(items) {
-  if (!items.length) return;
+function createUI(allItems, prefs = { languages: [], accents: [], hideOthers: false }, state = { minimized: false, position: null }) {
+  const { groups, visible: items, hiddenCount } = arrangeItems(allItems, prefs);
+  if (!items.length) {
+    log('[Wiktionary Audio] All items hidden by language filter:', hiddenCount);
+    removePanel();
+    return;
+  }
   
   const showDownloadAll = items.length > 1;
+  const showGroupHeaders = groups.length > 1 || groups.some(g => g.language);
+  
+  const renderRow = (it) => {
+    const i = items.indexOf(it);
+    const details = [it.language, it.accent].filter(Boolean).join(" · ");
+    const ipaAccent = it.ipaAccent && !accentsMatch(it.ipaAccent, it.accent)
+      ? ` <span class="ipa-accent">(${escapeHtml(it.ipaAccent)})</span>`
+      : "";
+    return `
+          <div class="row">
+            <div class="row-text">
+              <div class="name">${it.preferredAccent ? `<span class="star" title="${escapeHtml(t.preferredAccent)}">★</span> ` : ""}${escapeHtml(it.filename)}</div>
+              ${details ? `<div class="details">${escapeHtml(details)}</div>` : ""}
+              ${it.ipa ? `<div class="ipa" title="IPA">${escapeHtml(it.ipa)}${ipaAccent}</div>` : ""}
+              <div class="history" data-history="${i}">✓ ${escapeHtml(t.alreadyDownloaded)}</div>
+              <div class="progress" data-progress="${i}"><div></div></div>
+            </div>
+            <button class="play" data-play="${i}" aria-label="${escapeHtml(t.playPreview)}" title="${escapeHtml(`${t.playPreview} — ${t.playNextHint}`)}">▶</button>
+            <button class="action" data-i="${i}">${escapeHtml(t.downloadButton)}</button>
+            <button class="cancel" data-cancel="${i}" hidden>${escapeHtml(t.cancelButton)}</button>
+          </div>`;
+  };
   
-  const panel = document.createElement("div");
-  panel.style.cssText = "position:fixed;right:16px;bottom:16px;z-index:2147483647;font:13px system-ui";
-  panel.innerHTML = `
-    <div id="audio-panel" style="background:#fff;border-radius:12px;box-shadow:0 8px 28px rgba(0,0,0,.25);min-width:260px;max-width:360px;transition:transform 0.3s ease">
-      <div style="padding:10px 12px;border-bottom:1px solid #eee;font-weight:600;display:flex;justify-content:space-between;align-items:center">
-        <span>${t.audioFiles}</span>
-        <button id="minimize-btn" style="border:0;background:none;color:#666;cursor:pointer;font-size:16px;padding:4px;border-radius:4px" title="Minimize panel">−</button>
+  const host = document.createElement("div");
+  host.id = "wiktionary-audio-panel";
+  const root = host.attachShadow({ mode: "closed" });
+  root.innerHTML = `
+    <style>${PANEL_STYLES}</style>
+    <div id="audio-panel" class="panel" role="region" aria-label="${escapeHtml(t.audioFiles)}">
+      <div class="header">
+        <span>${escapeHtml(t.audioFiles)}</span>
+        <button class="minimize" id="minimize-btn"></button>
+      </div>
+      <div class="list">
+        ${groups.map(group => `
+          ${showGroupHeaders ? `<div class="group">${escapeHtml(group.language || t.otherLanguages)}</div>` : ""}
+          ${group.items.map(renderRow).join("")}`).join("")}
+        ${hiddenCount ? `<div class="note">${hiddenCount} ${escapeHtml(t.hiddenByFilter)}</div>` : ""}
+        ${allItems.categoryLimit ? `<div class="note">${escapeHtml(categoryLimitText(allItems.categoryLimit))}</div>` : ""}
       </div>
-      <div style="max-height:260px;overflow:auto">
-        ${items.map((it,i)=>`
-          <div style="display:flex;gap:6px;align-items:center;padding:8px 12px;border-bottom:1px solid #f6f6f6">
-            <div style="flex:1;word-break:break-all">${it.filename}</div>
-            <button data-i="${i}" style="border:0;border-radius:8px;padding:6px 12px;background:#1a73e8;color:#fff;cursor:pointer;transition:background 0.2s ease" onmouseover="this.style.background='#1557b0'" onmouseout="this.style.background='#1a73e8'">${t.downloadButton}</button>
-          </div>`).join("")}
+      <div class="footer">
+        ${showDownloadAll ? `
+        <button class="action" id="dl-all">${escapeHtml(t.downloadAllButton)}</button>
+        <button class="action" id="dl-zip">${escapeHtml(t.downloadZipButton)}</button>` : ''}
+        <button class="action" id="dl-anki">${escapeHtml(t.ankiButton)}</button>
       </div>
-      ${showDownloadAll ? `
-      <div style="display:flex;gap:8px;padding:10px 12px">
-        <button id="dl-all" style="border:0;border-radius:8px;padding:8px 12px;background:#1a73e8;color:#fff;cursor:pointer;transition:background 0.2s ease" onmouseover="this.style.background='#1557b0'" onmouseout="this.style.background='#1a73e8'">${t.downloadAllButton}</button>
-      </div>` : ''}
     </div>`;
+  const panel = root.getElementById("audio-panel");
   
-  // Individual file buttons
+  // Preview and individual file buttons
   panel.addEventListener("click", e => {
+    const playButton = e.target.closest("button[data-play]");
+    if (playButton) {
+      togglePreview(panel, items, Number(playButton.dataset.play));
+      return;
+    }
+    const cancelButton = e.target.closest("button[data-cancel]");
+    if (cancelButton) {
+      cancelConversion(cancelButton);
+      return;
+    }
     const b = e.target.closest("button[data-i]");
     if (!b) return;
     const it = items[Number(b.dataset.i)];
@@ -291,42 +637,200 @@ function createUI(items) {
   if (showDownloadAll) {
     const batchButton = panel.querySelector("#dl-all");
     batchButton.onclick = () => downloadAllFiles(items, batchButton);
+    const zipButton = panel.querySelector("#dl-zip");
+    zipButton.onclick = () => downloadAllAsZip(items, zipButton);
   }
+  const ankiButton = panel.querySelector("#dl-anki");
+  ankiButton.onclick = () => downloadAllAsZip(items, ankiButton, 'anki');
   
-  // Minimize/restore functionality
+  // Minimize/restore, remembered across pages
   const minimizeBtn = panel.querySelector("#minimize-btn");
-  const panelContent = panel.querySelector("#audio-panel");
-  // Get all direct child divs after the header (more reliable than style attribute matching)  
-  const contentDivs = Array.from(panelContent.children).slice(1); // All content after header
-  let isMinimized = false;
-  
+  const setMinimized = minimized => {
+    panel.classList.toggle("minimized", minimized);
+    minimizeBtn.textContent = minimized ? '+' : '−';
+    minimizeBtn.title = minimized ? 'Expand panel' : 'Minimize panel';
+    minimizeBtn.setAttribute("aria-expanded", String(!minimized));
+  };
+  setMinimized(state.minimized);
   minimizeBtn.onclick = () => {
-    isMinimized = !isMinimized;
-    if (isMinimized) {
-      // Hide all content divs, keeping only the header visible
-      contentDivs.forEach(div => div.style.display = 'none');
-      minimizeBtn.textContent = '+';
-      minimizeBtn.title = 'Expand panel';
-    } else {
-      // Show all content divs again with their original display values
-      contentDivs.forEach(div => {
-        // Restore original display style (block for downloads list, flex for download all section)
-        if (div.innerHTML.includes('dl-all')) {
-          div.style.display = 'flex';
-        } else {
-          div.style.display = 'block';
-        }
-      });
-      minimizeBtn.textContent = '−';
-      minimizeBtn.title = 'Minimize panel';
+    state.minimized = !state.minimized;
+    setMinimized(state.minimized);
+    savePanelState(state);
+  };
+  
+  // Replace the previous panel in place rather than adding a second one
+  const previous = activePanel;
+  if (previous?.element.isConnected) previous.element.replaceWith(host);
+  else document.documentElement.appendChild(host);
+  previous?.teardown();
+  applyPanelPosition(host, state.position);
+  
+  // Document-level listeners are removed again in teardown()
+  const listeners = new AbortController();
+  const { signal } = listeners;
+  
+  // Drag by the header; the position is saved when the drag ends
+  const header = panel.querySelector(".header");
+  header.addEventListener("pointerdown", e => {
+    if (e.button !== 0 || e.target.closest("button")) return;
+    const rect = host.getBoundingClientRect();
+    const offsetX = e.clientX - rect.left;
+    const offsetY = e.clientY - rect.top;
+    header.setPointerCapture(e.pointerId);
+    const move = ev => applyPanelPosition(host, { left: ev.clientX - offsetX, top: ev.clientY - offsetY });
+    const end = () => {
+      header.removeEventListener("pointermove", move);
+      header.removeEventListener("pointerup", end);
+      header.removeEventListener("pointercancel", end);
+      const { left, top } = host.getBoundingClientRect();
+      state.position = { left, top };
+      savePanelState(state);
+    };
+    header.addEventListener("pointermove", move);
+    header.addEventListener("pointerup", end);
+    header.addEventListener("pointercancel", end);
+  });
+  window.addEventListener("resize", () => applyPanelPosition(host, state.position), { signal });
+  
+  // Follow the page's light/dark theme, including later switches
+  const updateTheme = () => { panel.dataset.theme = pageUsesDarkTheme() ? "dark" : "light"; };
+  updateTheme();
+  const themeObserver = new MutationObserver(updateTheme);
+  themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ["class"] });
+  matchMedia("(prefers-color-scheme: dark)").addEventListener("change", updateTheme, { signal });
+  
+  // Mark items already in the download history, now and whenever it changes
+  markDownloadedItems(panel, items);
+  const onStorageChanged = (changes, area) => {
+    if (area === 'local' && changes.downloadHistory) markDownloadedItems(panel, items);
+  };
+  chrome.storage.onChanged.addListener(onStorageChanged);
+  
+  // Alt+. plays the next item in the panel
+  document.addEventListener("keydown", e => {
+    if (!e.altKey || e.ctrlKey || e.metaKey || e.code !== "Period") return;
+    const target = e.target;
+    if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName || "")) return;
+    e.preventDefault();
+    togglePreview(panel, items, (preview.index + 1) % items.length);
+  }, { signal });
+  
+  activePanel = {
+    element: host,
+    panel,
+    items,
+    prefs,
+    teardown() {
+      listeners.abort();
+      themeObserver.disconnect();
+      chrome.storage.onChanged.removeListener(onStorageChanged);
+      stopPreview(panel);
+      host.remove();
     }
   };
+}
+
+// The single on-page panel ({ element: shadow host, panel, items, prefs, teardown }), or null
+let activePanel = null;
+
+function removePanel() {
+  activePanel?.teardown();
+  activePanel = null;
+}
+
+// ============== DOWNLOAD HISTORY ==============
+
+// URLs of everything recorded in the background's download history
+async function loadDownloadedUrls() {
+  const { downloadHistory = [] } = await chrome.storage.local.get({ downloadHistory: [] });
+  return new Set(downloadHistory.map(entry => entry.url));
+}
+
+async function markDownloadedItems(panel, items) {
+  try {
+    const downloaded = await loadDownloadedUrls();
+    items.forEach((item, i) => {
+      const badge = panel.querySelector(`[data-history="${i}"]`);
+      if (badge) badge.style.display = downloaded.has(item.url) ? "block" : "none";
+    });
+  } catch (error) {
+    logError('[Wiktionary Audio] Could not read download history:', error);
+  }
+}
+
+// Apply the "skip already downloaded" batch option
+async function filterAlreadyDownloaded(items) {
+  const { skipDownloaded } = await chrome.storage.sync.get({ skipDownloaded: false });
+  if (!skipDownloaded) return items;
+  const downloaded = await loadDownloadedUrls();
+  return items.filter(item => !downloaded.has(item.url));
+}
+
+// ============== PREVIEW PLAYBACK ==============
+
+// One shared player so only a single clip plays at a time
+const preview = { audio: null, index: -1, panel: null };
+
+function setPreviewRowState(panel, index, playing) {
+  if (!panel) return;
+  const button = panel.querySelector(`button[data-play="${index}"]`);
+  const progress = panel.querySelector(`[data-progress="${index}"]`);
+  if (button) {
+    button.textContent = playing ? "⏸" : "▶";
+    button.setAttribute("aria-label", playing ? t.pausePreview : t.playPreview);
+  }
+  if (progress) progress.style.visibility = playing || preview.audio?.currentTime ? "visible" : "hidden";
+}
+
+// Stop playback if it belongs to a panel that is going away
+function stopPreview(panel) {
+  if (!preview.audio || preview.panel !== panel) return;
+  preview.panel = null;
+  preview.index = -1;
+  preview.audio.pause();
+  preview.audio.removeAttribute("src");
+}
+
+function togglePreview(panel, items, index) {
+  const item = items[index];
+  if (!item) return;
+  
+  if (!preview.audio) {
+    preview.audio = new Audio();
+    preview.audio.preload = "auto";
+    preview.audio.addEventListener("timeupdate", () => {
+      const bar = preview.panel?.querySelector(`[data-progress="${preview.index}"] > div`);
+      const { currentTime, duration } = preview.audio;
+      if (bar && duration) bar.style.width = `${Math.min(100, (currentTime / duration) * 100)}%`;
+    });
+    preview.audio.addEventListener("ended", () => setPreviewRowState(preview.panel, preview.index, false));
+    preview.audio.addEventListener("pause", () => setPreviewRowState(preview.panel, preview.index, false));
+    preview.audio.addEventListener("play", () => setPreviewRowState(preview.panel, preview.index, true));
+    preview.audio.addEventListener("error", () => {
+      logError('[Wiktionary Audio] Preview failed:', preview.audio.error);
+      setPreviewRowState(preview.panel, preview.index, false);
+    });
+  }
   
-  // Hover effect for minimize button
-  minimizeBtn.onmouseover = () => minimizeBtn.style.background = '#f0f1f3';
-  minimizeBtn.onmouseout = () => minimizeBtn.style.background = 'none';
+  const audio = preview.audio;
+  if (preview.index === index && preview.panel === panel) {
+    if (audio.paused) audio.play().catch(error => logError('[Wiktionary Audio] Preview play failed:', error));
+    else audio.pause();
+    return;
+  }
+  
+  // Switching clips: stop and reset the previous row
+  if (preview.index !== -1 && preview.panel) {
+    audio.pause();
+    const previousBar = preview.panel.querySelector(`[data-progress="${preview.index}"] > div`);
+    if (previousBar) previousBar.style.width = "0";
+    setPreviewRowState(preview.panel, preview.index, false);
+  }
   
-  document.documentElement.appendChild(panel);
+  preview.panel = panel;
+  preview.index = index;
+  audio.src = item.url;
+  audio.play().catch(error => logError('[Wiktionary Audio] Preview play failed:', error));
 }
 
 // Show download feedback
@@ -347,7 +851,7 @@ function showDownloadFeedback(button, message, isSuccess = true) {
   
   button._feedbackTimeout = setTimeout(() => {
     button.textContent = button._originalText;
-    button.style.background = '#1a73e8';
+    button.style.background = '';
     button.disabled = false;
     // Clean up stored references
     delete button._originalText;
@@ -355,28 +859,92 @@ function showDownloadFeedback(button, message, isSuccess = true) {
   }, 2000);
 }
 
+// ============== CONVERSION PROGRESS ==============
+
+// Rows with a conversion running in the offscreen document, by conversion ID
+const conversionViews = new Map();
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'CONVERSION_PROGRESS') {
+    conversionViews.get(msg.conversionId)?.update(msg.phase, msg.percent);
+  }
+});
+
+// Turn a row into a progress view: the button shows the phase or percentage,
+// the bar fills while ffmpeg converts, and a Cancel button appears
+function startConversionView(conversionId, button) {
+  const row = button.closest(".row");
+  const bar = row?.querySelector("[data-progress]");
+  const cancelButton = row?.querySelector("button[data-cancel]");
+  
+  clearTimeout(button._feedbackTimeout);
+  delete button._feedbackTimeout;
+  if (!button._originalText) button._originalText = button.textContent;
+  button.style.background = '';
+  button.disabled = true;
+  if (cancelButton) {
+    cancelButton.dataset.conversion = conversionId;
+    cancelButton.disabled = false;
+    cancelButton.hidden = false;
+  }
+  
+  const view = {
+    update(phase, percent) {
+      if (phase === 'convert') {
+        button.textContent = `${percent ?? 0}%`;
+        if (bar) {
+          bar.style.visibility = "visible";
+          bar.firstElementChild.style.width = `${percent ?? 0}%`;
+        }
+      } else if (phase === 'queued') {
+        button.textContent = '⏳'; // Waiting for another conversion to finish
+      } else {
+        button.textContent = phase === 'load' ? t.preparingConverter : t.downloadingStatus;
+      }
+    },
+    end() {
+      conversionViews.delete(conversionId);
+      if (cancelButton) cancelButton.hidden = true;
+      if (bar) {
+        bar.firstElementChild.style.width = "0";
+        bar.style.visibility = "hidden";
+      }
+    }
+  };
+  conversionViews.set(conversionId, view);
+  view.update('fetch', null);
+  return view;
+}
+
+function cancelConversion(cancelButton) {
+  cancelButton.disabled = true;
+  safeSendMessage({ type: 'CANCEL_CONVERSION', conversionId: cancelButton.dataset.conversion }, { timeoutMs: 5000 })
+    .catch(error => logError('[Wiktionary Audio] Cancel failed:', error));
+}
+
 // Download single file based on settings
 async function downloadFile(item, buttonElement) {
+  let view = null;
   try {
     const { mode = 'original' } = await chrome.storage.sync.get({ mode: 'original' });
+    const message = buildDownloadMessage(item, mode, currentPage);
     
-    // Show special feedback for convert mode (first-time may take longer)
+    // Convert mode reports progress back to this row and can be cancelled
     if (mode === 'convert') {
-      showDownloadFeedback(buttonElement, `${t.preparingConverter || '⏳ Preparing converter...'}`, true);
+      message.conversionId = crypto.randomUUID();
+      view = startConversionView(message.conversionId, buttonElement);
     }
     
-    // Use longer timeout for convert mode to handle cold FFmpeg loading
-    const timeoutMs = mode === 'convert' ? 120000 : 90000; // 2 minutes for convert, 90s for others
+    // The background gives up on a conversion that stops reporting progress, so
+    // convert mode only needs an outer bound here for long, still-progressing jobs
+    const timeoutMs = mode === 'convert' ? 600000 : 90000; // 10 minutes for convert, 90s for others
     
-    const response = await safeSendMessage({
-      type: 'DOWNLOAD_AUDIO',
-      url: item.url,
-      originalFilename: item.filename,
-      mode
-    }, { timeoutMs });
+    const response = await safeSendMessage(message, { timeoutMs });
     
     if (response && response.ok) {
       showDownloadFeedback(buttonElement, `✓ ${t.downloaded}`);
+    } else if (response?.cancelled) {
+      showDownloadFeedback(buttonElement, t.cancelled, false);
     } else {
       showDownloadFeedback(buttonElement, `✗ ${t.failed}`, false);
     }
@@ -386,131 +954,314 @@ async function downloadFile(item, buttonElement) {
     
     // Fallback to original download
     try {
-      await safeSendMessage({
-        type: 'DOWNLOAD_AUDIO',
-        url: item.url,
-        originalFilename: item.filename,
-        mode: 'original'
-      });
+      await safeSendMessage(buildDownloadMessage(item, 'original', currentPage));
     } catch (fallbackError) {
       logError('Fallback download also failed:', fallbackError);
     }
+  } finally {
+    view?.end();
+  }
+}
+
+// Progress callbacks for batches running in the background queue, by batch ID
+const batchProgressHandlers = new Map();
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'QUEUE_PROGRESS') {
+    batchProgressHandlers.get(msg.batchId)?.(msg);
+  }
+});
+
+// Reflect one queued job on its row button
+function showJobStatus(button, job) {
+  if (!button) return;
+  if (job.status === 'done') {
+    showDownloadFeedback(button, '✓');
+  } else if (job.status === 'failed') {
+    showDownloadFeedback(button, '✗', false);
+    button.title = job.error || t.failed;
+  } else {
+    if (!button._originalText) button._originalText = button.textContent;
+    button.textContent = job.status === 'running' ? '…' : '⏳';
+    button.disabled = true;
   }
 }
 
-// Download all files based on settings
+// Download all files based on settings, via the background download queue
 async function downloadAllFiles(items, buttonElement) {
   try {
     const { mode = 'original' } = await chrome.storage.sync.get({ mode: 'original' });
+    const panel = buttonElement.closest("#audio-panel");
     
-    // For batch downloads, process each item individually to support new mode system
-    let successCount = 0;
-    let failCount = 0;
-    
-    for (const item of items) {
-      try {
-        // Use longer timeout for convert mode to handle FFmpeg processing
-        const timeoutMs = mode === 'convert' ? 120000 : 90000; // 2 minutes for convert, 90s for others
-        
-        const response = await safeSendMessage({
-          type: 'DOWNLOAD_AUDIO',
-          url: item.url,
-          originalFilename: item.filename,
-          mode
-        }, { timeoutMs });
-        
-        if (response && response.ok) {
-          successCount++;
-        } else {
-          failCount++;
-        }
-      } catch (error) {
-        logError('Individual download in batch failed:', error);
-        failCount++;
-      }
+    const queued = await filterAlreadyDownloaded(items);
+    if (!queued.length) {
+      showDownloadFeedback(buttonElement, t.nothingNew);
+      return;
     }
+    // Queue positions refer to `queued`; map them back to panel rows
+    const rowIndex = queued.map(item => items.indexOf(item));
     
-    if (successCount > 0) {
-      showDownloadFeedback(buttonElement, `✓ ${successCount}/${items.length} ${t.downloaded}`);
-    } else {
-      showDownloadFeedback(buttonElement, `✗ ${t.failed}`, false);
-    }
+    buttonElement.disabled = true;
+    const response = await safeSendMessage({
+      type: 'ENQUEUE_DOWNLOADS',
+      items: queued.map(item => buildDownloadMessage(item, mode, currentPage))
+    }, { timeoutMs: 15000 });
+    
+    if (!response?.ok) throw new Error(response?.error || 'Could not queue downloads');
+    
+    const lastStatus = new Map();
+    batchProgressHandlers.set(response.batchId, progress => {
+      for (const job of progress.jobs) {
+        if (lastStatus.get(job.position) === job.status) continue;
+        lastStatus.set(job.position, job.status);
+        showJobStatus(panel?.querySelector(`button[data-i="${rowIndex[job.position]}"]`), job);
+      }
+      
+      const finished = progress.done + progress.failed;
+      if (finished < progress.total) {
+        const retrying = progress.jobs.some(job => job.status === 'pending' && job.error);
+        const activity = retrying ? t.retrying : (mode === 'convert' ? t.converting : t.downloadingStatus);
+        buttonElement.textContent = `${finished}/${progress.total} ${activity}`;
+        return;
+      }
+      
+      batchProgressHandlers.delete(progress.batchId);
+      buttonElement.textContent = t.downloadAllButton;
+      if (progress.done > 0) {
+        showDownloadFeedback(buttonElement, `✓ ${progress.done}/${progress.total} ${t.downloaded}`);
+      } else {
+        showDownloadFeedback(buttonElement, `✗ ${t.failed}`, false);
+      }
+    });
   } catch (error) {
     logError('Batch download failed:', error);
     showDownloadFeedback(buttonElement, `✗ ${t.failed}`, false);
-    
-    // Fallback to original download for all items
-    try {
-      for (const item of items) {
-        await safeSendMessage({
-          type: 'DOWNLOAD_AUDIO',
-          url: item.url,
-          originalFilename: item.filename,
-          mode: 'original'
-        });
-      }
-    } catch (fallbackError) {
-      logError('Fallback batch download also failed:', fallbackError);
-    }
-  }
-}
-
-// Fallback: Direct Action API discovery (like old approach)
-async function fallbackActionApiDiscovery(pageTitle) {
-  const api = `https://${location.host}/w/api.php`;
-  const params = new URLSearchParams({
-    action: "query",
-    titles: pageTitle,
-    generator: "images",
-    gimlimit: "max",
-    prop: "imageinfo",
-    iiprop: "url|mime|extmetadata",
-    format: "json",
-    origin: "*"
-  });
-
-  const r = await fetch(`${api}?${params}`, { credentials: "omit" });
-  const j = await r.json();
-  const out = [];
-  
-  for (const pg of Object.values(j?.query?.pages || {})) {
-    const ii = pg?.imageinfo?.[0];
-    if (ii?.url && isAudioFile(ii.url, ii.mime)) {
-      out.push({
-        title: pg.title,
-        url: ii.url,
-        filename: decodeURIComponent(ii.url.split("/").pop() || "audio"),
-        license: ii.extmetadata || {}
-      });
-    }
   }
-  return out;
 }
 
-// ============== MAIN EXECUTION ==============
-
-(async () => {
-  if (!title) return;
+// Bundle all files into a single ZIP built by the extension.
+// layout 'anki' adds an importable notes file and puts the clips in media/.
+async function downloadAllAsZip(items, buttonElement, layout = 'files') {
+  // The button stays disabled until the archive is done, so a second click can't
+  // start another build; finish() puts the label back before the result shows
+  const label = buttonElement.textContent;
+  const finish = (message, isSuccess = true) => {
+    buttonElement.textContent = label;
+    showDownloadFeedback(buttonElement, message, isSuccess);
+  };
+  buttonElement.disabled = true;
   
   try {
-    // Try REST API discovery first
-    const files = await listAudioFileTitles(title);
+    const { mode = 'original' } = await chrome.storage.sync.get({ mode: 'original' });
     
-    let resolved = [];
-    if (files.length > 0) {
-      // Resolve direct URLs and metadata via Action API
-      resolved = await resolveDirectUrls(files);
+    if (mode === 'convert') {
+      buttonElement.textContent = t.preparingConverter || '⏳ Preparing converter...';
     }
     
-    // If REST API didn't find anything, try direct Action API approach
-    if (resolved.length === 0) {
-      resolved = await fallbackActionApiDiscovery(title);
+    const included = await filterAlreadyDownloaded(items);
+    if (!included.length) {
+      finish(t.nothingNew);
+      return;
     }
     
-    if (resolved.length > 0) {
-      createUI(resolved);
+    // Allow for fetching (and converting) every item before the archive is ready
+    const timeoutMs = 120000 + included.length * 30000;
+    
+    const response = await safeSendMessage({
+      type: 'DOWNLOAD_ZIP',
+      mode,
+      layout,
+      archiveName: currentPage.title,
+      items: included.map(item => buildDownloadMessage(item, mode, currentPage))
+    }, { timeoutMs });
+    
+    if (response && response.ok) {
+      finish(`✓ ${response.fileCount}/${included.length} ${t.downloaded}`);
+    } else {
+      finish(`✗ ${t.failed}`, false);
     }
   } catch (error) {
-    console.error('[Wiktionary Audio] Failed to discover audio:', error);
+    logError('ZIP download failed:', error);
+    finish(`✗ ${t.failed}`, false);
+  }
+}
+
+// ============== CLIPBOARD ==============
+
+// The service worker has no clipboard access, so "Copy direct URL" lands here
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    // Clipboard API needs a focused document; fall back to a selection copy
+    const area = document.createElement("textarea");
+    area.value = text;
+    area.style.cssText = "position:fixed;top:-1000px;opacity:0";
+    document.documentElement.appendChild(area);
+    area.select();
+    const copied = document.execCommand("copy");
+    area.remove();
+    return copied;
+  }
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg?.type !== 'COPY_TEXT') return;
+  copyText(String(msg.text ?? "")).then(ok => sendResponse({ ok }));
+  return true; // async
+});
+
+// A right-click download or copy failed in the background (not audio, API error, ...)
+chrome.runtime.onMessage.addListener(msg => {
+  if (msg?.type !== 'CONTEXT_MENU_FAILED') return;
+  showToast(`${t.contextMenuFailed}: ${msg.error}`, 5000);
+});
+
+// ============== KEYBOARD SHORTCUTS ==============
+// chrome.commands are received by the background and relayed here
+
+// Short-lived message near the panel (e.g. after a shortcut)
+function showToast(message, durationMs = 2000) {
+  document.querySelector('.wiktionary-audio-toast')?.remove();
+  const toast = document.createElement('div');
+  toast.className = 'wiktionary-audio-toast';
+  toast.setAttribute('role', 'status');
+  toast.style.cssText = `
+    position: fixed; top: 20px; right: 20px; z-index: 2147483647;
+    background: #202124; color: #fff; padding: 8px 12px;
+    border-radius: 8px; font: 13px system-ui;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+  `;
+  toast.textContent = message;
+  document.documentElement.appendChild(toast);
+  setTimeout(() => toast.remove(), durationMs);
+}
+
+function rowButton(index) {
+  return activePanel?.panel.querySelector(`button[data-i="${index}"]`);
+}
+
+// Visible items are already ordered by preference, so the first one is the
+// best match; with no preferred languages set it is simply the first clip
+function commandDownloadPreferred() {
+  const { items, prefs } = activePanel;
+  const first = items[0];
+  if (prefs.languages.length && !matchesPreference(first.language, prefs.languages)) {
+    showToast(t.noPreferredClip);
+    return;
+  }
+  downloadFile(first, rowButton(0));
+}
+
+function commandDownloadAll() {
+  const { panel, items } = activePanel;
+  const batchButton = panel.querySelector("#dl-all");
+  if (batchButton) downloadAllFiles(items, batchButton);
+  else downloadFile(items[0], rowButton(0));
+}
+
+function commandTogglePanel() {
+  const { element } = activePanel;
+  element.style.display = element.style.display === "none" ? "" : "none";
+}
+
+function runCommand(msg) {
+  if (msg.command === 'cycle-mode') {
+    showToast(msg.mode === 'convert' ? t.modeConvert : t.modeOriginal);
+    return;
+  }
+  if (!activePanel) {
+    showToast(t.noAudioOnPage);
+    return;
   }
-})();
\ No newline at end of file
+  if (msg.command === 'download-all') commandDownloadAll();
+  else if (msg.command === 'download-preferred') commandDownloadPreferred();
+  else if (msg.command === 'toggle-panel') commandTogglePanel();
+}
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'RUN_COMMAND') runCommand(msg);
+});
+
+// ============== DISCOVERY / NAVIGATION ==============
+// Discovery re-runs when the page identity changes without a full reload
+// (history navigation, in-site search) or when audio players are added to the
+// content (e.g. sections loaded on demand). Stale runs are discarded.
+
+let discoveryRun = 0;
+let discoveredUrl = "";
+let discoveredPlayers = -1;
+let rescanTimer = null;
+
+function contentRoot() {
+  return document.getElementById("mw-content-text") || document.body;
+}
+
+function countPlayers() {
+  return contentRoot().querySelectorAll("audio, a[href*=\"File:\"]").length;
+}
+
+// Anchors (#Section) don't change the page
+function urlWithoutHash() {
+  return location.href.replace(/#.*$/, "");
+}
+
+async function runDiscovery() {
+  const run = ++discoveryRun;
+  discoveredUrl = urlWithoutHash();
+  discoveredPlayers = countPlayers();
+  
+  const page = await resolvePageIdentity(location.href);
+  if (run !== discoveryRun) return;
+  if (!page.title || page.namespace < 0) { // Special: pages
+    removePanel();
+    return;
+  }
+  
+  const resolved = await discoverAudio(page.title, page.host, page.namespace);
+  if (run !== discoveryRun) return;
+  if (!resolved.length) {
+    removePanel();
+    return;
+  }
+  
+  annotateItemsFromDom(resolved, contentRoot(), page.title, {
+    languageSections: page.host.endsWith(".wiktionary.org")
+  });
+  // Stable 1-based position for the {index} filename token
+  resolved.forEach((item, i) => { item.index = i + 1; });
+  const [prefs, state] = await Promise.all([loadPanelPreferences(), loadPanelState()]);
+  if (run !== discoveryRun) return;
+  
+  currentPage = page;
+  createUI(resolved, prefs, state);
+  requestConverterPrewarm();
+}
+
+// Let the background load ffmpeg early (it checks the setting and the mode).
+// Once per page load is enough; later rescans find the converter warm.
+let prewarmRequested = false;
+
+function requestConverterPrewarm() {
+  if (prewarmRequested) return;
+  prewarmRequested = true;
+  safeSendMessage({ type: 'PREWARM_CONVERTER' }, { timeoutMs: 10000 })
+    .catch(error => log('[Wiktionary Audio] Pre-warm request failed:', error.message));
+}
+
+function scheduleRescan() {
+  clearTimeout(rescanTimer);
+  rescanTimer = setTimeout(() => {
+    if (urlWithoutHash() === discoveredUrl && countPlayers() === discoveredPlayers) return;
+    log('[Wiktionary Audio] Page changed, re-running discovery');
+    runDiscovery().catch(error => console.error('[Wiktionary Audio] Failed to discover audio:', error));
+  }, 500);
+}
+
+// ============== MAIN EXECUTION ==============
+
+runDiscovery().catch(error => console.error('[Wiktionary Audio] Failed to discover audio:', error));
+// The panel lives on <html>, outside <body>, so its own updates don't trigger rescans
+new MutationObserver(scheduleRescan).observe(document.body, { childList: true, subtree: true });
+window.addEventListener("popstate", scheduleRescan);
@@ -0,0 +1,466 @@
+// Shared discovery helpers for Wiktionary, Wikipedia and Commons audio
+// Loaded as a classic script after wiki-common.js and before content-script.js
+// and bulk.js, so everything here is a plain global. Functions take an explicit
+// host/page so they work both on a wiki page and from the extension's bulk page.
+
+// Debug logging (set to false for production)
+const DEBUG = false;
+const log = DEBUG ? console.log.bind(console) : () => {};
+const logError = console.error.bind(console); // Always log errors
+
+// ============== API FUNCTIONS ==============
+
+async function listAudioFileTitles(pageTitle, host = location.host) {
+  const rest = `https://${host}/api/rest_v1/page/media-list/${encodeURIComponent(pageTitle.replace(/ /g, "_"))}`;
+  const r = await fetch(rest, { credentials: "omit" });
+  if (!r.ok) return [];
+  const j = await r.json();
+  return (j.items || [])
+    .filter(it => {
+      // Accept any item with audio_type or that looks like an audio file
+      const hasAudioType = it.audio_type && it.audio_type !== "unknown";
+      const looksLikeAudio = isAudioFile(it.title, null);
+      return hasAudioType || looksLikeAudio;
+    })
+    .map(it => it.title);
+}
+
+// The Action API accepts at most 50 titles per query for anonymous clients
+const TITLES_PER_QUERY = 50;
+
+async function resolveDirectUrls(fileTitles, host = location.host) {
+  if (!fileTitles.length) return [];
+  const api = `https://${host}/w/api.php`;
+  const out = [];
+
+  for (let start = 0; start < fileTitles.length; start += TITLES_PER_QUERY) {
+    const batch = fileTitles.slice(start, start + TITLES_PER_QUERY);
+    const p = new URLSearchParams({
+      action: "query",
+      titles: batch.join("|"),
+      prop: "imageinfo",
+      iiprop: "url|mime|sha1|extmetadata",
+      format: "json",
+      origin: "*"
+    });
+    
+    log('[Wiktionary Audio] Resolving URLs for titles:', batch);
+    const r = await fetch(`${api}?${p}`, { credentials: "omit" });
+    const j = await r.json();
+    log('[Wiktionary Audio] Action API response:', j);
+    
+    for (const pg of Object.values(j?.query?.pages || {})) {
+      const ii = pg?.imageinfo?.[0];
+      log('[Wiktionary Audio] Processing page:', pg.title, 'imageinfo:', ii);
+      
+      if (ii?.url && isAudioFile(ii.url, ii.mime)) {
+        out.push({
+          title: pg.title,
+          url: ii.url,
+          filename: decodeURIComponent(ii.url.split("/").pop() || "audio"),
+          descriptionUrl: ii.descriptionurl || "",
+          sha1: ii.sha1 || "",
+          license: ii.extmetadata || {}
+        });
+      }
+    }
+  }
+  return out;
+}
+
+// Large Commons categories (e.g. Lingua Libre) hold tens of thousands of files
+const CATEGORY_FILE_LIMIT = 500;
+// Member pages (up to 500 files each) read per category, so a big category with
+// little or no audio isn't paged through to the end
+const CATEGORY_PAGE_LIMIT = 10;
+
+// Audio files in a category, following categorymembers continuation.
+// truncated is set when the category has more audio than limit, or when the
+// page limit stopped the scan before the end.
+async function listCategoryAudioFiles(categoryTitle, host = location.host, limit = CATEGORY_FILE_LIMIT) {
+  const api = `https://${host}/w/api.php`;
+  const titles = [];
+  let cont = {};
+  let more = false;
+
+  for (let page = 0; page < CATEGORY_PAGE_LIMIT && titles.length < limit; page++) {
+    const p = new URLSearchParams({
+      action: "query",
+      list: "categorymembers",
+      cmtitle: categoryTitle,
+      cmtype: "file",
+      cmlimit: "max",
+      format: "json",
+      origin: "*",
+      ...cont
+    });
+    const r = await fetch(`${api}?${p}`, { credentials: "omit" });
+    if (!r.ok) break;
+    const j = await r.json();
+    for (const member of j?.query?.categorymembers || []) {
+      if (isAudioFile(member.title, null)) titles.push(member.title);
+    }
+    more = Boolean(j.continue);
+    if (!more) break;
+    cont = j.continue;
+  }
+
+  const truncated = titles.length > limit || more;
+  if (truncated) log('[Wiktionary Audio] Category truncated at', Math.min(titles.length, limit), 'files:', categoryTitle);
+  return { titles: titles.slice(0, limit), truncated };
+}
+
+// Number of files in a category (any media type), or null if the API doesn't say
+async function categoryFileCount(categoryTitle, host = location.host) {
+  const p = new URLSearchParams({
+    action: "query",
+    prop: "categoryinfo",
+    titles: categoryTitle,
+    format: "json",
+    formatversion: "2",
+    origin: "*"
+  });
+  try {
+    const r = await fetch(`https://${host}/w/api.php?${p}`, { credentials: "omit" });
+    if (!r.ok) return null;
+    const j = await r.json();
+    return j?.query?.pages?.[0]?.categoryinfo?.files ?? null;
+  } catch (error) {
+    logError('[Wiktionary Audio] Could not count category files:', error);
+    return null;
+  }
+}
+
+// Fallback: Direct Action API discovery (like old approach)
+async function fallbackActionApiDiscovery(pageTitle, host = location.host) {
+  const api = `https://${host}/w/api.php`;
+  const params = new URLSearchParams({
+    action: "query",
+    titles: pageTitle,
+    generator: "images",
+    gimlimit: "max",
+    prop: "imageinfo",
+    iiprop: "url|mime|sha1|extmetadata",
+    format: "json",
+    origin: "*"
+  });
+
+  const r = await fetch(`${api}?${params}`, { credentials: "omit" });
+  const j = await r.json();
+  const out = [];
+  
+  for (const pg of Object.values(j?.query?.pages || {})) {
+    const ii = pg?.imageinfo?.[0];
+    if (ii?.url && isAudioFile(ii.url, ii.mime)) {
+      out.push({
+        title: pg.title,
+        url: ii.url,
+        filename: decodeURIComponent(ii.url.split("/").pop() || "audio"),
+        descriptionUrl: ii.descriptionurl || "",
+        sha1: ii.sha1 || "",
+        license: ii.extmetadata || {}
+      });
+    }
+  }
+  return out;
+}
+
+// MediaWiki namespace numbers for the pages handled specially
+const NS_FILE = 6;
+const NS_CATEGORY = 14;
+
+// Namespace of a page title; canonical English prefixes work on every wiki
+function pageNamespace(pageTitle) {
+  if (/^(File|Image):/i.test(pageTitle)) return NS_FILE;
+  if (/^Category:/i.test(pageTitle)) return NS_CATEGORY;
+  return 0;
+}
+
+// File pages resolve to the file itself and categories to their audio members;
+// otherwise REST media-list first, then the Action API images generator.
+// namespace may be passed when known (localized prefixes such as "Datei:").
+// For a category cut at CATEGORY_FILE_LIMIT the returned array carries
+// categoryLimit: { shown, total } so callers can say it isn't complete.
+async function discoverAudio(pageTitle, host = location.host, namespace = pageNamespace(pageTitle)) {
+  if (namespace === NS_FILE) {
+    return isAudioFile(pageTitle, null) ? resolveDirectUrls([pageTitle], host) : [];
+  }
+  if (namespace === NS_CATEGORY) {
+    const { titles, truncated } = await listCategoryAudioFiles(pageTitle, host);
+    if (titles.length) {
+      const items = await resolveDirectUrls(titles, host);
+      if (truncated) items.categoryLimit = { shown: titles.length, total: await categoryFileCount(pageTitle, host) };
+      return items;
+    }
+  }
+
+  const files = await listAudioFileTitles(pageTitle, host);
+  
+  let resolved = [];
+  if (files.length > 0) {
+    // Resolve direct URLs and metadata via Action API
+    resolved = await resolveDirectUrls(files, host);
+  }
+  
+  // If REST API didn't find anything, try direct Action API approach
+  if (resolved.length === 0) {
+    resolved = await fallbackActionApiDiscovery(pageTitle, host);
+  }
+  return resolved;
+}
+
+// ============== PAGE IDENTITY ==============
+
+function pageUrl(host, title) {
+  const path = encodeURIComponent(title.replace(/ /g, "_")).replace(/%3A/g, ":").replace(/%2F/g, "/");
+  return `https://${host}/wiki/${path}`;
+}
+
+// Canonical page for any URL form, following normalization and redirects.
+// Returns { title, host, url, namespace }; title is "" for non-page URLs.
+async function resolvePageIdentity(href = location.href) {
+  const { host, title, pageId, revId } = parsePageUrl(href);
+  const page = { title, host, url: title ? pageUrl(host, title) : href, namespace: pageNamespace(title) };
+
+  const p = new URLSearchParams({ action: "query", redirects: "1", format: "json", formatversion: "2", origin: "*" });
+  if (revId) p.set("revids", revId);
+  else if (pageId) p.set("pageids", pageId);
+  else if (title) p.set("titles", title);
+  else return page;
+
+  try {
+    const r = await fetch(`https://${host}/w/api.php?${p}`, { credentials: "omit" });
+    const j = await r.json();
+    const resolved = j?.query?.pages?.[0];
+    if (resolved?.title && !resolved.invalid) {
+      log('[Wiktionary Audio] Page identity:', { from: title || pageId || revId, to: resolved.title, redirects: j.query.redirects });
+      page.title = resolved.title;
+      page.namespace = resolved.ns;
+      page.url = pageUrl(host, resolved.title);
+    }
+  } catch (error) {
+    logError('[Wiktionary Audio] Could not resolve page identity, using the URL title:', error);
+  }
+  return page;
+}
+
+// ============== PAGE CONTEXT (LANGUAGE SECTION / ACCENT) ==============
+
+// Normalize a Commons filename so DOM references and API results compare equal
+function normalizeFileKey(name) {
+  if (!name) return "";
+  let key = name;
+  try {
+    key = decodeURIComponent(name);
+  } catch (error) {
+    // Keep raw value if it isn't valid percent-encoding
+  }
+  key = key.replace(/^[^:]+:/, "").replace(/ /g, "_");
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+// Filename referenced by an <audio> player or a File: link
+function fileKeyForElement(el) {
+  if (el.dataset?.mwtitle) return normalizeFileKey(el.dataset.mwtitle);
+  const src = el.tagName === "AUDIO"
+    ? (el.querySelector("source")?.getAttribute("src") || el.getAttribute("src") || "")
+    : "";
+  // upload.wikimedia.org/wikipedia/commons/[transcoded/]a/ab/<File>[/<File>.mp3]
+  const uploadMatch = src.match(/\/(?:transcoded\/)?[0-9a-f]\/[0-9a-f]{2}\/([^/?#]+)/);
+  if (uploadMatch) return normalizeFileKey(uploadMatch[1]);
+  // Parsoid HTML (REST page/html) marks players with resource="./File:..."
+  const href = el.getAttribute("href") || el.getAttribute("resource") || "";
+  const fileMatch = href.match(/\/wiki\/([^?#]+)/) || href.match(/^\.\/([^?#]+)/) || href.match(/[?&]title=([^&#]+)/);
+  return fileMatch ? normalizeFileKey(fileMatch[1]) : "";
+}
+
+// Language headings (h2) in document order
+function getLanguageHeadings(root) {
+  return Array.from(root.querySelectorAll("h2"));
+}
+
+function headingText(h2, pageTitle) {
+  const headline = h2.querySelector(".mw-headline") || h2;
+  const clone = headline.cloneNode(true);
+  clone.querySelectorAll(".mw-editsection").forEach(n => n.remove());
+  const text = clone.textContent.replace(/\s+/g, " ").trim();
+  // Some editions (e.g. de) use "<word> (<Language>)" headings
+  const paren = text.match(/^.+\(([^()]+)\)$/);
+  return paren && text.startsWith(pageTitle.replace(/_/g, " ")) ? paren[1].trim() : text;
+}
+
+// Nearest preceding language heading for an element
+function findLanguageSection(el, headings, pageTitle) {
+  let section = "";
+  for (const h2 of headings) {
+    if (h2.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING) {
+      section = headingText(h2, pageTitle);
+    } else {
+      break;
+    }
+  }
+  return section;
+}
+
+// Accent/region label from the pronunciation template around an audio player
+function findAccentLabel(el, fileKey) {
+  const container = el.closest("li, tr, dd, p, table.audiotable") || el.parentElement;
+  if (container) {
+    const qualifier = container.querySelector(".qualifier-content, .ib-content, .accent-qualifier");
+    if (qualifier?.textContent.trim()) return qualifier.textContent.replace(/\s+/g, " ").trim();
+    // en.wiktionary renders "Audio (US):" in the audio table
+    const audioLabel = container.textContent.match(/\bAudio\s*\(([^()]{1,40})\)/i);
+    if (audioLabel) return audioLabel[1].trim();
+  }
+  return accentFromFilename(fileKey);
+}
+
+// Language codes Commons pronunciation files use as a name prefix ("De-Wasser.ogg").
+// Only these count, so ordinary names like "Ode-to-joy.ogg" aren't read as one.
+const FILENAME_LANGUAGE_CODES = new Set([
+  "af", "am", "ar", "as", "ast", "az", "be", "bg", "bn", "bo", "br", "bs", "ca", "cmn", "cs", "cy",
+  "da", "de", "el", "en", "eo", "es", "et", "eu", "fa", "fi", "fo", "fr", "fy", "ga", "gd", "gl",
+  "grc", "gu", "hak", "he", "hi", "hr", "hu", "hy", "id", "is", "it", "ja", "ka", "kk", "km", "kn",
+  "ko", "ku", "ky", "la", "lb", "lo", "lt", "lv", "mk", "ml", "mn", "mr", "ms", "mt", "nan", "nb",
+  "nds", "ne", "nl", "nn", "no", "oc", "pa", "pl", "ps", "pt", "ro", "ru", "sa", "sco", "sd", "si",
+  "sk", "sl", "sq", "sr", "sv", "sw", "ta", "te", "tg", "th", "tk", "tl", "tr", "tt", "ug", "uk",
+  "ur", "uz", "vi", "wuu", "yi", "yo", "yue", "zh", "zu"
+]);
+
+// "En-us-water" → { language: "en", region: "us", word: "water" }; null unless
+// the prefix is a known language code
+function parseLanguagePrefix(base) {
+  const match = base.match(/^([A-Za-z]{2,3})-(?:([a-z]{2})-)?(.+)$/);
+  const language = match?.[1].toLowerCase();
+  if (!FILENAME_LANGUAGE_CODES.has(language)) return null;
+  return { language, region: match[2] || "", word: match[3] };
+}
+
+// Region code in names like "En-us-water.ogg" → "US"
+function accentFromFilename(fileKey) {
+  return (parseLanguagePrefix(fileKey)?.region || "").toUpperCase();
+}
+
+// ============== IPA ==============
+
+// Accent labels that name the same variety ("US" in an audio label,
+// "General American" in the IPA qualifier)
+const ACCENT_ALIASES = [
+  ["us", "usa", "american", "general american", "ga", "gena"],
+  ["uk", "british", "received pronunciation", "rp", "england", "southern england"],
+  ["au", "australia", "australian", "general australian"],
+  ["ca", "canada", "canadian"],
+  ["nz", "new zealand"],
+  ["ie", "ireland", "irish"],
+  ["in", "india", "indian"],
+  ["br", "brazil", "brazilian"],
+  ["pt", "portugal", "european portuguese"],
+  ["mx", "mexico", "mexican", "latin america", "latin american"],
+  ["es", "spain", "castilian"],
+  ["fr", "france", "parisian"],
+  ["at", "austria", "austrian"],
+  ["ch", "switzerland", "swiss"]
+];
+
+function accentKeys(label) {
+  return label
+    .toLowerCase()
+    .split(/\s*[,;/]\s*|\s+and\s+/)
+    .map(part => part.replace(/[().]/g, "").trim())
+    .filter(Boolean)
+    .map(part => ACCENT_ALIASES.find(group => group.includes(part))?.[0] || part);
+}
+
+function accentsMatch(a, b) {
+  if (!a || !b) return false;
+  const keys = new Set(accentKeys(a));
+  return accentKeys(b).some(key => keys.has(key));
+}
+
+function ipaText(span) {
+  return span.textContent.replace(/\s+/g, " ").trim();
+}
+
+// Pronunciation lines such as "(General American) IPA: /ˈwɔtɚ/, /ˈwɑtɚ/"
+// in document order. fr.wiktionary marks transcriptions with span.API.
+function collectIpaEntries(root, headings, pageTitle) {
+  const entries = [];
+  const seen = new Set();
+  for (const span of root.querySelectorAll("span.IPA, span.API")) {
+    // A bare transcription outside any list/paragraph is its own line
+    const line = span.closest("li, dd, p, tr") || span;
+    if (seen.has(line)) continue;
+    seen.add(line);
+    const spans = line === span ? [span] : line.querySelectorAll("span.IPA, span.API");
+    const transcriptions = [...new Set(Array.from(spans, ipaText).filter(Boolean))];
+    if (!transcriptions.length) continue;
+    const qualifier = line.querySelector(".qualifier-content, .ib-content, .accent-qualifier");
+    entries.push({
+      line,
+      ipa: transcriptions.join(", "),
+      accent: qualifier ? qualifier.textContent.replace(/\s+/g, " ").trim() : "",
+      language: findLanguageSection(span, headings, pageTitle)
+    });
+  }
+  return entries;
+}
+
+// IPA for an audio player: its own line first, then the closest line in the
+// same language section, preferring one whose accent qualifier matches
+function findIpaForPlayer(el, accent, language, entries) {
+  const own = entries.find(entry => entry.line.contains(el));
+  if (own) return own;
+
+  const inSection = entries.filter(entry => entry.language === language);
+  const before = entry => entry.line.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING;
+  const nearest = list => list.filter(before).pop() || list[0] || null;
+  const sameAccent = inSection.filter(entry => accentsMatch(entry.accent, accent));
+  return nearest(sameAccent) || nearest(inSection);
+}
+
+// Word and language code from common Commons naming schemes:
+// "LL-Q150 (fra)-User-eau.wav" (Lingua Libre), "De-Wasser.ogg", "En-us-water.ogg"
+function parseAudioFilename(fileKey) {
+  const base = fileKey.replace(/\.[^.]+$/, "").replace(/_/g, " ");
+  const linguaLibre = base.match(/^LL-Q\d+ \(([a-z]{2,3})\)-[^-]+-(.+)$/);
+  if (linguaLibre) return { language: linguaLibre[1], word: linguaLibre[2] };
+  const prefixed = parseLanguagePrefix(base);
+  if (prefixed) return { language: prefixed.language, word: prefixed.word };
+  return { language: "", word: "" }; // Metadata then uses the page title
+}
+
+// Attach language section, accent and IPA to each item from rendered page content
+// (the live #mw-content-text, or a parsed REST page/html document body).
+// Outside Wiktionary, headings are not languages; language and word then come
+// from the filename instead.
+function annotateItemsFromDom(items, root, pageTitle, { languageSections = true } = {}) {
+  const headings = languageSections ? getLanguageHeadings(root) : [];
+  const ipaEntries = collectIpaEntries(root, headings, pageTitle);
+  const context = new Map();
+  const players = root.querySelectorAll("audio, a[href*=\"File:\"]");
+
+  for (const el of players) {
+    const key = fileKeyForElement(el);
+    if (!key || context.has(key)) continue;
+    const language = findLanguageSection(el, headings, pageTitle);
+    const accent = findAccentLabel(el, key);
+    const ipa = findIpaForPlayer(el, accent, language, ipaEntries);
+    context.set(key, { language, accent, ipa: ipa?.ipa || "", ipaAccent: ipa?.accent || "" });
+  }
+
+  for (const item of items) {
+    const found = context.get(normalizeFileKey(item.filename)) || context.get(normalizeFileKey(item.title));
+    item.language = found?.language || "";
+    item.accent = found?.accent || accentFromFilename(normalizeFileKey(item.filename));
+    // Clips not shown on the page fall back to the first IPA of their section
+    const fallback = found ? null : ipaEntries.find(entry => entry.language === item.language);
+    item.ipa = found?.ipa || fallback?.ipa || "";
+    item.ipaAccent = found?.ipaAccent || fallback?.accent || "";
+    if (!languageSections) {
+      const parsed = parseAudioFilename(normalizeFileKey(item.filename));
+      item.language = parsed.language;
+      item.word = parsed.word;
+    }
+  }
+  return items;
+}
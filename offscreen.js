@@ -8,24 +8,80 @@ const logError = console.error.bind(console); // Always log errors
 log('[Offscreen] Script loaded, starting import...');
 
 import { FFmpeg } from "./vendor/ffmpeg/ffmpeg.mjs";
+import { getPreset, buildFilterArgs } from "./presets.js";
+import { createZip } from "./zip.js";
+import { getCached, putCached, sourceCacheKey, outputCacheKey } from "./audio-cache.js";
 
 log('[Offscreen] FFmpeg imported successfully');
 
 const isIsolated = self.crossOriginIsolated === true; // true if COOP/COEP applied
-// Try single-thread first to avoid worker complications
-const USE_MULTITHREAD = false; // Set to true to use multi-thread
-const coreBase = USE_MULTITHREAD ? "vendor/ffmpeg/core-mt" : "vendor/ffmpeg/core";
+// The multi-threaded core runs ffmpeg's threads as workers sharing one wasm
+// memory, which needs cross-origin isolation and SharedArrayBuffer
+const multiThreadAvailable = isIsolated && typeof SharedArrayBuffer === 'function';
+let multiThreadFailed = false; // Automatic choice stops trying it after one failure
 
-const coreURL   = chrome.runtime.getURL(`${coreBase}/ffmpeg-core.js`);
-const wasmURL   = chrome.runtime.getURL(`${coreBase}/ffmpeg-core.wasm`);
-// Multi-thread core uses worker, single-thread doesn't
-const workerURL = USE_MULTITHREAD ? chrome.runtime.getURL(`${coreBase}/ffmpeg-core.worker.js`) : undefined;
+function coreFiles(base, withWorker) {
+  return {
+    coreURL: chrome.runtime.getURL(`${base}/ffmpeg-core.js`),
+    wasmURL: chrome.runtime.getURL(`${base}/ffmpeg-core.wasm`),
+    // Multi-thread core uses worker, single-thread doesn't
+    workerURL: withWorker ? chrome.runtime.getURL(`${base}/ffmpeg-core.worker.js`) : undefined
+  };
+}
+
+const CORES = {
+  multi: coreFiles('vendor/ffmpeg/core-mt', true),
+  single: coreFiles('vendor/ffmpeg/core', false)
+};
+
+// Cores to try, in order, for the user's choice ('auto' | 'multi' | 'single').
+// Forcing a core never falls back, so a broken choice shows up as an error.
+function coreCandidates(preference) {
+  if (preference === 'single') return ['single'];
+  if (preference === 'multi') return ['multi'];
+  return multiThreadAvailable && !multiThreadFailed ? ['multi', 'single'] : ['single'];
+}
+
+// Add read-only worker debugging (don't interfere with FFmpeg's worker creation).
+// Installed once, since the core may be loaded several times.
+const NativeWorker = Worker;
+self.Worker = function(url, opts) {
+  log('[Offscreen] 🔧 Worker created:', new URL(url, location.href).href, opts);
+  const w = new NativeWorker(url, opts);  // Pass through unchanged
+  w.addEventListener('error', e => {
+    logError('[Offscreen] ❌ Worker error:', e);
+  });
+  w.addEventListener('message', e => {
+    log('[Offscreen] 📨 Worker message:', e.data?.cmd || e.data?.type || 'unknown');
+  });
+  return w;
+};
 
 const ffmpeg = new FFmpeg();
 let loaded = false;
+let loadedCore = null;       // 'multi' | 'single' once loaded
+let loadedPreference = null; // The preference that core was chosen for
 let loadPromise = null; // Memoize the loading promise to avoid concurrent loads
+let loadGeneration = 0; // Bumped on unload, so a load in flight can tell it was torn down
+
+// Throw away the worker (and its MEMFS); the next load starts from scratch
+function unloadFFmpeg() {
+  loadGeneration++;
+  ffmpeg.terminate();
+  loaded = false;
+  loadedCore = null;
+  loadedPreference = null;
+  loadPromise = null;
+}
 
-async function loadFFmpeg() {
+async function loadFFmpeg(preference = 'auto') {
+  // A different core was asked for since the last load: switch (callers hold the ffmpeg queue)
+  if ((loaded || loadPromise) && loadedPreference !== preference) {
+    log('[Offscreen] Core preference changed to', preference, '- reloading FFmpeg');
+    if (loadPromise) await loadPromise.catch(() => {});
+    unloadFFmpeg();
+  }
+  
   // If already loaded, return immediately
   if (loaded) {
     log('[Offscreen] FFmpeg already loaded, skipping');
@@ -40,266 +96,649 @@ async function loadFFmpeg() {
   }
   
   // Create and cache the loading promise
+  loadedPreference = preference;
+  const generation = loadGeneration;
   loadPromise = (async () => {
     log('[Offscreen] Starting FFmpeg load...');
-    log('[Offscreen] Cross-origin isolated:', isIsolated);
-    log('[Offscreen] Using core type:', USE_MULTITHREAD ? 'multi-thread (diagnostic)' : 'single-thread (optimized for compatibility)');
-    log('[Offscreen] Core URLs:', { coreURL, wasmURL, workerURL });
+    log('[Offscreen] Cross-origin isolated:', isIsolated, 'SharedArrayBuffer:', typeof SharedArrayBuffer === 'function');
     
-    const startTime = Date.now();
-    
-    try {
-      // Pre-flight checks: verify core files are accessible
-      log('[Offscreen] Pre-flight: checking core file accessibility...');
-      const coreUrls = { coreURL, wasmURL };
-      if (workerURL) coreUrls.workerURL = workerURL;
-      
-      for (const [name, url] of Object.entries(coreUrls)) {
-        if (!url) continue;
-        log(`[Offscreen] Checking ${name}: ${url}`);
-        
-        try {
-          const response = await fetch(url);
-          const contentLength = response.headers.get('content-length');
-          log(`[Offscreen] ${name} status=${response.status} length=${contentLength} type=${response.headers.get('content-type')}`);
-          
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-          }
-          
-          if (!contentLength || parseInt(contentLength) === 0) {
-            log(`[Offscreen] Warning: ${name} has no content-length or is empty`);
-          }
-        } catch (fetchError) {
-          logError(`[Offscreen] Pre-flight failed for ${name}:`, fetchError);
-          throw new Error(`Core file ${name} is not accessible: ${fetchError.message}`);
-        }
-      }
-      
-      // Pre-compile WASM to catch corruption/format issues early
-      if (wasmURL) {
-        log('[Offscreen] Pre-compiling WASM to verify integrity...');
-        try {
-          const wasmResponse = await fetch(wasmURL);
-          const wasmBuffer = await wasmResponse.arrayBuffer();
-          log(`[Offscreen] WASM buffer size: ${wasmBuffer.byteLength} bytes`);
-          
-          if (wasmBuffer.byteLength === 0) {
-            throw new Error('WASM file is empty');
-          }
-          
-          // This will throw if WASM is corrupt/invalid
-          await WebAssembly.compile(wasmBuffer);
-          log('[Offscreen] WASM pre-compilation successful');
-        } catch (wasmError) {
-          logError('[Offscreen] WASM pre-compilation failed:', wasmError);
-          throw new Error(`WASM file is invalid: ${wasmError.message}`);
-        }
+    let lastError = null;
+    for (const core of coreCandidates(preference)) {
+      try {
+        await loadCore(core, generation);
+        loaded = true;
+        loadedCore = core;
+        return;
+      } catch (error) {
+        // unloadFFmpeg() (a cancel) stopped this load on purpose: the core isn't broken,
+        // so don't fall back or rule it out. The unload already reset the load state.
+        if (generation !== loadGeneration) throw error;
+        lastError = error;
+        if (core === 'multi') multiThreadFailed = true;
+        logError(`[Offscreen] ${core}-thread core failed to load:`, error.message);
+        ffmpeg.terminate(); // Drop the half-initialized worker before trying the next core
       }
-      
-      log('[Offscreen] Pre-flight checks passed, calling ffmpeg.load()...');
-      
-      // Add read-only worker debugging (don't interfere with FFmpeg's worker creation)
-      const NativeWorker = Worker;
-      self.Worker = function(url, opts) {
-        log('[Offscreen] 🔧 Worker created:', new URL(url, location.href).href, opts);
-        const w = new NativeWorker(url, opts);  // Pass through unchanged
-        w.addEventListener('error', e => {
-          logError('[Offscreen] ❌ Worker error:', e);
-        });
-        w.addEventListener('message', e => {
-          log('[Offscreen] 📨 Worker message:', e.data?.cmd || e.data?.type || 'unknown');
-        });
-        return w;
-      };
-      
-      // Add timeout to prevent infinite hang
-      const loadPromiseWithTimeout = new Promise(async (resolve, reject) => {
-        const timeoutId = setTimeout(() => {
-          reject(new Error('FFmpeg load timeout after 60 seconds'));
-        }, 60000);
-        
-        try {
-          await ffmpeg.load({
-            coreURL,
-            wasmURL,
-            workerURL
-          });
-          clearTimeout(timeoutId);
-          resolve();
-        } catch (error) {
-          clearTimeout(timeoutId);
-          reject(error);
-        }
-      });
-      
-      await loadPromiseWithTimeout;
-      
-      const loadTime = Date.now() - startTime;
-      loaded = true;
-      log(`[Offscreen] ✅ FFmpeg loaded successfully in ${loadTime}ms`);
-      log(`[Offscreen] FFmpeg ready for transcoding operations`);
-    } catch (error) {
-      const loadTime = Date.now() - startTime;
-      logError(`[Offscreen] FFmpeg load failed after ${loadTime}ms:`, error);
-      logError('[Offscreen] Error details:', {
-        name: error.name,
-        message: error.message,
-        stack: error.stack
-      });
-      // Reset load promise on failure so future attempts can retry
-      loadPromise = null;
-      throw error;
     }
+    // Reset load promise on failure so future attempts can retry
+    loadPromise = null;
+    loadedPreference = null;
+    throw lastError;
   })();
   
   // Wait for the load to complete
   await loadPromise;
 }
 
-// Listen for Port connections from background for zero-copy transfers
-chrome.runtime.onConnect.addListener(port => {
-  if (port.name !== 'ffmpeg') return;
+// generation is the loadGeneration this load started in; a cancel during the
+// pre-flight checks has no worker to terminate yet, so the checks give up themselves
+async function loadCore(core, generation) {
+  const { coreURL, wasmURL, workerURL } = CORES[core];
+  const stopIfUnloaded = () => {
+    if (generation !== loadGeneration) throw new Error('FFmpeg load was cancelled');
+  };
+  log('[Offscreen] Using core type:', core);
+  log('[Offscreen] Core URLs:', { coreURL, wasmURL, workerURL });
   
-  log('[Offscreen] FFmpeg Port connected');
+  const startTime = Date.now();
   
-  port.onMessage.addListener(async (msg) => {
-    log('[Offscreen] Received Port message:', msg?.type);
+  try {
+    // Pre-flight checks: verify core files are accessible
+    log('[Offscreen] Pre-flight: checking core file accessibility...');
+    const coreUrls = { coreURL, wasmURL };
+    if (workerURL) coreUrls.workerURL = workerURL;
     
-    if (msg?.type !== "FFMPEG_TRANSCODE_TO_WAV") {
-      log('[Offscreen] Ignoring non-transcode message:', msg?.type);
-      port.postMessage({ ok: false, error: 'Unknown message type' });
-      return;
-    }
-
-    // Handle URL-based data transfer (avoids binary serialization issues)
-    const srcUrl = msg.srcUrl;
-    log('[Offscreen] Received srcUrl:', srcUrl?.substring(0, 50) + '...');
-    
-    if (!srcUrl) {
-      logError('[Offscreen] No srcUrl provided');
-      port.postMessage({ ok: false, error: 'No audio URL provided' });
-      return;
+    for (const [name, url] of Object.entries(coreUrls)) {
+      stopIfUnloaded();
+      log(`[Offscreen] Checking ${name}: ${url}`);
+      
+      try {
+        const response = await fetch(url);
+        const contentLength = response.headers.get('content-length');
+        log(`[Offscreen] ${name} status=${response.status} length=${contentLength} type=${response.headers.get('content-type')}`);
+        
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        if (!contentLength || parseInt(contentLength) === 0) {
+          log(`[Offscreen] Warning: ${name} has no content-length or is empty`);
+        }
+      } catch (fetchError) {
+        logError(`[Offscreen] Pre-flight failed for ${name}:`, fetchError);
+        throw new Error(`Core file ${name} is not accessible: ${fetchError.message}`);
+      }
     }
     
-    // Fetch audio data directly in offscreen context
-    let audioBytes;
-    let audioSize = 0;
-    
+    // Pre-compile WASM to catch corruption/format issues early
+    log('[Offscreen] Pre-compiling WASM to verify integrity...');
     try {
-      log('[Offscreen] Fetching audio data from URL...');
-      const response = await fetch(srcUrl);
-      if (!response.ok) {
-        throw new Error(`Fetch failed: ${response.status} ${response.statusText}`);
+      const wasmResponse = await fetch(wasmURL);
+      const wasmBuffer = await wasmResponse.arrayBuffer();
+      log(`[Offscreen] WASM buffer size: ${wasmBuffer.byteLength} bytes`);
+      
+      if (wasmBuffer.byteLength === 0) {
+        throw new Error('WASM file is empty');
       }
       
-      const arrayBuffer = await response.arrayBuffer();
-      audioBytes = new Uint8Array(arrayBuffer);
-      audioSize = arrayBuffer.byteLength;
-      log('[Offscreen] Audio fetched successfully, size:', audioSize, 'bytes');
-    } catch (fetchError) {
-      logError('[Offscreen] Failed to fetch audio:', fetchError);
-      port.postMessage({ ok: false, error: `Failed to fetch audio: ${fetchError.message}` });
-      return;
+      // This will throw if WASM is corrupt/invalid
+      await WebAssembly.compile(wasmBuffer);
+      log('[Offscreen] WASM pre-compilation successful');
+    } catch (wasmError) {
+      logError('[Offscreen] WASM pre-compilation failed:', wasmError);
+      throw new Error(`WASM file is invalid: ${wasmError.message}`);
     }
     
-    // Check for missing or empty audioData
-    if (!audioBytes || audioSize === 0) {
-      logError('[Offscreen] No audio bytes or empty audio data after fetch');
-      port.postMessage({ ok: false, error: 'No audio data received after fetch' });
-      return;
-    }
+    stopIfUnloaded();
+    log('[Offscreen] Pre-flight checks passed, calling ffmpeg.load()...');
     
-    try {
-      log('[Offscreen] Loading FFmpeg...');
-      await loadFFmpeg();
-      log('[Offscreen] ✅ FFmpeg load complete, writing input file...');
-
-      const inName = "in.bin";
-      const outName = (msg.outBase || "audio") + ".wav";
-
-      await ffmpeg.writeFile(inName, audioBytes);
-      log('[Offscreen] Input file written, starting conversion...');
-      
-      // Optimized command for OGG/Opus → WAV (pronunciation audio)
-      await ffmpeg.exec([
-        "-i", inName,         // Input file
-        "-vn",               // No video (audio-only)
-        "-ac", "1",          // Mono (enough for pronunciation)
-        "-ar", "48000",      // Consistent sample rate (48kHz)
-        "-sample_fmt", "s16", // 16-bit PCM (fastest)
-        "-y",                // Overwrite output
-        outName
-      ]);
-      log('[Offscreen] Conversion complete, reading output...');
-
-      const out = await ffmpeg.readFile(outName);
-      log('[Offscreen] Output file read, size:', out.buffer.byteLength, 'bytes');
+    // Add timeout to prevent infinite hang
+    const loadPromiseWithTimeout = new Promise(async (resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        reject(new Error('FFmpeg load timeout after 60 seconds'));
+      }, 60000);
       
-      // Clean up temporary files from FFmpeg file system
       try {
-        await ffmpeg.deleteFile(inName);
-        await ffmpeg.deleteFile(outName);
-        log('[Offscreen] Temporary files cleaned up successfully');
-      } catch (cleanupError) {
-        log('[Offscreen] File cleanup warning:', cleanupError.message);
+        await ffmpeg.load({
+          coreURL,
+          wasmURL,
+          workerURL
+        });
+        clearTimeout(timeoutId);
+        resolve();
+      } catch (error) {
+        clearTimeout(timeoutId);
+        reject(error);
       }
-      
-      // Convert Uint8Array to regular array for JSON serialization
-      const outputBytes = Array.from(out);
-      log('[Offscreen] Preparing to send via runtime.sendMessage:', {
-        filename: outName,
-        originalLength: out.length,
-        arrayLength: outputBytes.length,
-        firstBytes: outputBytes.slice(0, 10)
-      });
-      
-      // Send response via chrome.runtime.sendMessage
-      chrome.runtime.sendMessage({
-        type: 'FFMPEG_TRANSCODE_COMPLETE',
-        ok: true,
-        filename: outName,
-        audioBytes: outputBytes  // Send as regular array
-      }, () => {
-        log('[Offscreen] Response sent via runtime.sendMessage');
-        port.disconnect(); // Clean up the port
+    });
+    
+    await loadPromiseWithTimeout;
+    
+    const loadTime = Date.now() - startTime;
+    log(`[Offscreen] ✅ FFmpeg (${core}-thread core) loaded successfully in ${loadTime}ms`);
+    log(`[Offscreen] FFmpeg ready for transcoding operations`);
+  } catch (error) {
+    const loadTime = Date.now() - startTime;
+    logError(`[Offscreen] FFmpeg load failed after ${loadTime}ms:`, error);
+    logError('[Offscreen] Error details:', {
+      name: error.name,
+      message: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
+// Map attribution metadata to container tags (RIFF INFO for WAV, Vorbis comments, ID3)
+function buildMetadataArgs(metadata) {
+  if (!metadata) return [];
+  const license = [metadata.licenseShortName, metadata.licenseUrl].filter(Boolean).join(' ');
+  const tags = {
+    title: metadata.word || metadata.fileTitle,
+    artist: metadata.artist,
+    copyright: license,
+    comment: [metadata.ipa, metadata.fileTitle, metadata.sourceUrl].filter(Boolean).join(' — ')
+  };
+  const args = [];
+  for (const [key, value] of Object.entries(tags)) {
+    if (value) args.push('-metadata', `${key}=${value}`);
+  }
+  return args;
+}
+
+// Fetch source audio directly in offscreen context
+async function fetchAudio(srcUrl, signal) {
+  if (!srcUrl) throw new Error('No audio URL provided');
+  log('[Offscreen] Fetching audio data from URL:', srcUrl.substring(0, 50) + '...');
+
+  let audioBytes;
+  try {
+    const response = await fetch(srcUrl, { signal });
+    if (!response.ok) {
+      throw new Error(`Fetch failed: ${response.status} ${response.statusText}`);
+    }
+    audioBytes = new Uint8Array(await response.arrayBuffer());
+  } catch (fetchError) {
+    logError('[Offscreen] Failed to fetch audio:', fetchError);
+    throw new Error(`Failed to fetch audio: ${fetchError.message}`);
+  }
+
+  // Check for missing or empty audioData
+  if (!audioBytes.byteLength) {
+    throw new Error('No audio data received after fetch');
+  }
+  log('[Offscreen] Audio fetched successfully, size:', audioBytes.byteLength, 'bytes');
+  return audioBytes;
+}
+
+// Sources and outputs are cached across pages (common words share recordings).
+// limitMb comes with each request; 0 turns the cache off. Cache errors (quota,
+// a broken profile) are logged and the download carries on without it.
+async function readCache(key, limitMb) {
+  if (!key || !(limitMb > 0)) return null;
+  try {
+    return await getCached(key);
+  } catch (error) {
+    logError('[Offscreen] Cache read failed:', error);
+    return null;
+  }
+}
+
+// putCached copies the bytes before its first await, so the caller may pass
+// them on to ffmpeg (which takes over the buffer) right away
+function writeCache(key, bytes, mime, limitMb) {
+  if (!key || !(limitMb > 0)) return;
+  putCached(key, bytes, mime, limitMb * 1024 * 1024)
+    .catch(error => logError('[Offscreen] Cache write failed:', error));
+}
+
+async function loadSource(srcUrl, sha1, limitMb, signal) {
+  const key = sourceCacheKey(srcUrl, sha1);
+  const cached = await readCache(key, limitMb);
+  if (cached) {
+    log('[Offscreen] Source audio from cache:', cached.bytes.byteLength, 'bytes');
+    return cached.bytes;
+  }
+  const audioBytes = await fetchAudio(srcUrl, signal);
+  writeCache(key, audioBytes, '', limitMb);
+  return audioBytes;
+}
+
+// Everything that changes the encoded bytes; preset args are included so
+// editing a preset doesn't serve outputs made with the old settings
+function conversionVariant({ presetId, processing, metadata }) {
+  const preset = getPreset(presetId);
+  return JSON.stringify([preset.id, ...preset.args, ...buildFilterArgs(processing), ...buildMetadataArgs(metadata)]);
+}
+
+// Every request from the background carries a job ID; replies, progress and
+// ffmpeg log lines are posted back on the same Port with that ID. Single-file
+// conversions forward progress and can be cancelled; ZIP builds only stop
+// between entries.
+
+// The single-file job whose conversion is currently running in ffmpeg
+let activeJob = null;
+let runningJobs = 0; // Reported to the background's idle check
+
+function createJob(port, id) {
+  return { id, port, cancelled: false, controller: new AbortController(), phase: null, percent: null, lastLog: '' };
+}
+
+function postToJob(job, message) {
+  try {
+    job.port.postMessage({ ...message, jobId: job.id });
+  } catch (error) {
+    log('[Offscreen] Could not post to job port:', error.message); // Background went away
+  }
+}
+
+// ffmpeg reports progress very often, so only phase or whole-percent changes are sent
+function reportProgress(job, phase, ratio = null) {
+  if (!job || job.cancelled) return;
+  const percent = Number.isFinite(ratio) ? Math.round(Math.min(1, Math.max(0, ratio)) * 100) : null;
+  if (phase === job.phase && percent === job.percent) return;
+  job.phase = phase;
+  job.percent = percent;
+  postToJob(job, { type: 'FFMPEG_PROGRESS', phase, percent });
+}
+
+ffmpeg.on('progress', ({ progress }) => reportProgress(activeJob, 'convert', progress));
+ffmpeg.on('log', ({ message }) => {
+  if (!activeJob || activeJob.cancelled) return;
+  activeJob.lastLog = message;
+  postToJob(activeJob, { type: 'FFMPEG_LOG', message });
+});
+
+function cancelJob(job) {
+  if (!job || job.cancelled) return;
+  job.cancelled = true;
+  job.controller.abort();
+  if (activeJob === job) {
+    // exec() can't be interrupted, so stop the worker itself. Its MEMFS (with this
+    // job's input and output files) is discarded too; the next job reloads the core.
+    log('[Offscreen] Cancelling running conversion, terminating ffmpeg');
+    activeJob = null;
+    unloadFFmpeg();
+  }
+}
+
+function cancelledError() {
+  const error = new Error('Conversion cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+// ffmpeg.wasm runs one command at a time in a single worker, so each conversion
+// (load, write, exec, read, clean up) is one task in this serial queue. Fetching
+// the source audio happens outside it, so downloads still overlap.
+let ffmpegQueue = Promise.resolve();
+let ffmpegTasks = 0; // Scheduled and not yet finished
+
+function scheduleFfmpeg(task) {
+  ffmpegTasks++;
+  const result = ffmpegQueue.then(task).finally(() => { ffmpegTasks--; });
+  ffmpegQueue = result.catch(() => {});
+  return result;
+}
+
+// Each conversion gets its own MEMFS names, so a leftover or cancelled job can
+// never read or delete another job's files
+let fileSerial = 0;
+
+// Run one conversion through ffmpeg and return the encoded output
+function transcodeBytes(audioBytes, options, job = null) {
+  if (ffmpegTasks > 0) reportProgress(job, 'queued');
+  return scheduleFfmpeg(() => runTranscode(audioBytes, options, job));
+}
+
+async function runTranscode(audioBytes, { outBase, presetId, processing, metadata, core }, job) {
+  const preset = getPreset(presetId);
+  const serial = ++fileSerial;
+  const inName = `job-${serial}-in.bin`;
+  const outName = `job-${serial}-out.${preset.ext}`;
+  
+  try {
+    if (job?.cancelled) throw cancelledError();
+    if (job) activeJob = job;
+    log('[Offscreen] Loading FFmpeg...');
+    reportProgress(job, 'load');
+    await loadFFmpeg(core);
+    if (job?.cancelled) throw cancelledError();
+    log('[Offscreen] ✅ FFmpeg load complete, writing input file...');
+
+    await ffmpeg.writeFile(inName, audioBytes);
+    if (job?.cancelled) throw cancelledError();
+    log('[Offscreen] Input file written, starting conversion with preset:', preset.id);
+    reportProgress(job, 'convert', 0);
+    
+    // Preset supplies channel/rate/codec arguments for the chosen output
+    const exitCode = await ffmpeg.exec([
+      "-i", inName,        // Input file
+      "-vn",               // No video (audio-only)
+      ...buildFilterArgs(processing), // Optional trim/loudness filters
+      ...preset.args,      // Output format from preset
+      ...buildMetadataArgs(metadata), // Optional attribution tags
+      "-y",                // Overwrite output
+      outName
+    ]);
+    if (exitCode !== 0) {
+      throw new Error(`ffmpeg exited with code ${exitCode}${job?.lastLog ? `: ${job.lastLog}` : ''}`);
+    }
+    log('[Offscreen] Conversion complete, reading output...');
+
+    const out = await ffmpeg.readFile(outName);
+    log('[Offscreen] Output file read, size:', out.buffer.byteLength, 'bytes');
+    return { filename: `${outBase || "audio"}.${preset.ext}`, mime: preset.mime, bytes: out };
+  } catch (error) {
+    if (job?.cancelled) throw cancelledError();
+    logError('[Offscreen] Transcode error:', error);
+    logError('[Offscreen] Error type:', error.constructor.name);
+    logError('[Offscreen] Error message:', error.message);
+    throw new Error(`${error.constructor.name}: ${error.message}`);
+  } finally {
+    if (activeJob === job) activeJob = null;
+    // Clean up temporary files from FFmpeg file system (ignore if they don't exist,
+    // e.g. after a cancel discarded the worker and its MEMFS)
+    await ffmpeg.deleteFile(inName).catch(() => {});
+    await ffmpeg.deleteFile(outName).catch(() => {});
+    log('[Offscreen] Temporary files cleaned up');
+  }
+}
+
+// Converted output for srcUrl, straight from the cache when the same conversion
+// ran before (no fetch, no ffmpeg)
+async function convertSource(srcUrl, sha1, options, { job = null, signal } = {}) {
+  const key = outputCacheKey(srcUrl, sha1, conversionVariant(options));
+  const cached = await readCache(key, options.cacheLimitMb);
+  if (cached) {
+    log('[Offscreen] Converted output from cache:', cached.bytes.byteLength, 'bytes');
+    const preset = getPreset(options.presetId);
+    return { filename: `${options.outBase || "audio"}.${preset.ext}`, mime: cached.mime, bytes: cached.bytes };
+  }
+  reportProgress(job, 'fetch');
+  const sourceBytes = await loadSource(srcUrl, sha1, options.cacheLimitMb, signal);
+  const result = await transcodeBytes(sourceBytes, options, job);
+  writeCache(key, result.bytes, result.mime, options.cacheLimitMb);
+  return result;
+}
+
+// Final reply for a job; the background matches it to its request by job ID
+function sendCompletion(job, message) {
+  log('[Offscreen] Job complete:', job.id, message.type, message.ok);
+  postToJob(job, message);
+}
+
+// Outputs are handed to the service worker as blob: URLs owned by this document,
+// so the bytes never pass through message serialization. The worker asks us to
+// revoke each URL once its download finishes; the timer is only a safety net.
+const BLOB_URL_MAX_AGE_MS = 10 * 60 * 1000;
+const blobUrlTimers = new Map();
+
+function createOutputUrl(bytes, mime) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: mime }));
+  blobUrlTimers.set(url, setTimeout(() => revokeOutputUrl(url), BLOB_URL_MAX_AGE_MS));
+  log('[Offscreen] Created blob URL for', bytes.byteLength, 'bytes');
+  return url;
+}
+
+function revokeOutputUrl(url) {
+  if (!blobUrlTimers.has(url)) return;
+  clearTimeout(blobUrlTimers.get(url));
+  blobUrlTimers.delete(url);
+  URL.revokeObjectURL(url);
+  log('[Offscreen] Revoked blob URL');
+}
+
+async function handleTranscode(job, msg) {
+  try {
+    const { filename, mime, bytes } = await convertSource(msg.srcUrl, msg.sha1, msg, { job, signal: job.controller.signal })
+      .catch(error => {
+        throw job.cancelled ? cancelledError() : error;
       });
-    } catch (error) {
-      logError('[Offscreen] Transcode error:', error);
-      logError('[Offscreen] Error type:', error.constructor.name);
-      logError('[Offscreen] Error message:', error.message);
-      
-      // Clean up any files that may have been created before error
+    if (job.cancelled) throw cancelledError();
+    
+    sendCompletion(job, {
+      type: 'FFMPEG_TRANSCODE_COMPLETE',
+      ok: true,
+      filename,
+      mime,
+      size: bytes.byteLength,
+      blobUrl: createOutputUrl(bytes, mime)
+    });
+  } catch (error) {
+    sendCompletion(job, { type: 'FFMPEG_TRANSCODE_COMPLETE', ok: false, error: error.message, cancelled: error.cancelled === true });
+  }
+}
+
+// Original-mode download: the source file as is, from the cache when it's there
+async function handleSourceFetch(job, msg) {
+  try {
+    const bytes = await loadSource(msg.srcUrl, msg.sha1, msg.cacheLimitMb, job.controller.signal);
+    sendCompletion(job, {
+      type: 'SOURCE_FETCH_COMPLETE',
+      ok: true,
+      size: bytes.byteLength,
+      blobUrl: createOutputUrl(bytes, '')
+    });
+  } catch (error) {
+    sendCompletion(job, { type: 'SOURCE_FETCH_COMPLETE', ok: false, error: error.message, cancelled: job.cancelled });
+  }
+}
+
+const MANIFEST_COLUMNS = ['filename', 'status', 'word', 'language', 'accent', 'ipa', 'fileTitle', 'artist', 'licenseShortName', 'licenseUrl', 'sourceUrl', 'fileUrl'];
+
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Keep archive paths unique ("a.wav", "a-2.wav", ...)
+function uniqueName(name, taken) {
+  let candidate = name;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = name.replace(/(\.[^.]+)?$/, ext => `-${n}${ext}`);
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+// Anki text import: one note per clip, audio referenced with [sound:...]
+// https://docs.ankiweb.net/importing/text-files.html
+const ANKI_COLUMNS = ['Word', 'Language', 'IPA', 'Audio', 'Accent', 'Attribution', 'Tags'];
+
+const ANKI_README = `Anki import
+===========
+
+1. Copy every file in media/ into your Anki profile's collection.media folder
+   (Tools > Check Media > View Files shows where it is).
+2. In Anki, choose File > Import and pick notes.txt.
+3. Map the fields to your note type. Audio holds the [sound:...] reference,
+   Tags becomes the note tags.
+
+manifest.csv lists the source and license of each clip.
+`;
+
+// Tabs and newlines would break the tab-separated note rows
+function ankiField(value) {
+  return (value == null ? '' : String(value)).replace(/[\t\r\n]+/g, ' ').trim();
+}
+
+function ankiTag(value) {
+  return ankiField(value).replace(/\s+/g, '_');
+}
+
+function buildAnkiNotes(records, deckName) {
+  const rows = records
+    .filter(row => row.status === 'ok')
+    .map(row => [
+      row.word,
+      row.language,
+      row.ipa,
+      `[sound:${row.filename.slice('media/'.length)}]`,
+      row.accent,
+      [row.artist, row.licenseShortName].filter(Boolean).join(', '),
+      ['wiktionary-audio', row.language && ankiTag(row.language)].filter(Boolean).join(' ')
+    ].map(ankiField).join('\t'));
+  return [
+    '#separator:tab',
+    '#html:false',
+    `#deck:${ankiField(deckName)}`,
+    `#columns:${ANKI_COLUMNS.join('\t')}`,
+    `#tags column:${ANKI_COLUMNS.indexOf('Tags') + 1}`,
+    ...rows
+  ].join('\n') + '\n';
+}
+
+// Fetch (and optionally convert) every entry, then pack them with manifests.
+// layout 'anki' stores the clips under media/ and adds notes.txt for import.
+async function handleZipBuild(job, msg) {
+  try {
+    const { entries = [], convert, presetId, processing, embedMetadata, layout = 'files', deckName, core, cacheLimitMb } = msg;
+    if (!entries.length) throw new Error('No files to archive');
+
+    const anki = layout === 'anki';
+    const files = [];
+    const manifest = [];
+    const extraFiles = anki ? ['manifest.json', 'manifest.csv', 'notes.txt', 'README.txt'] : ['manifest.json', 'manifest.csv'];
+    const taken = new Set(extraFiles);
+
+    for (const entry of entries) {
+      if (job.cancelled) throw cancelledError();
+      const record = { ...entry.metadata, fileUrl: entry.url, filename: null, status: 'ok' };
       try {
-        const inName = "in.bin";
-        const outName = (msg.outBase || "audio") + ".wav";
-        await ffmpeg.deleteFile(inName).catch(() => {}); // Ignore if doesn't exist
-        await ffmpeg.deleteFile(outName).catch(() => {}); // Ignore if doesn't exist
-        log('[Offscreen] Error cleanup: temporary files removed');
-      } catch (cleanupError) {
-        log('[Offscreen] Error cleanup warning:', cleanupError.message);
+        const signal = job.controller.signal;
+        let bytes;
+        if (convert) {
+          const metadata = embedMetadata ? entry.metadata : null;
+          const options = { outBase: 'zip-entry', presetId, processing, metadata, core, cacheLimitMb };
+          ({ bytes } = await convertSource(entry.url, entry.sha1, options, { signal }));
+        } else {
+          bytes = await loadSource(entry.url, entry.sha1, cacheLimitMb, signal);
+        }
+        // entry.filename is the final archive path chosen by the background
+        record.filename = uniqueName(anki ? `media/${entry.filename}` : entry.filename, taken);
+        files.push({ name: record.filename, data: bytes });
+      } catch (error) {
+        logError('[Offscreen] ZIP entry failed:', entry.filename, error);
+        record.status = 'failed';
+        record.error = error.message;
       }
-      
-      port.postMessage({ ok: false, error: `${error.constructor.name}: ${error.message}` });
+      manifest.push(record);
+    }
+
+    if (!files.length) throw new Error('All files failed to download');
+
+    const csv = [MANIFEST_COLUMNS.join(',')]
+      .concat(manifest.map(row => MANIFEST_COLUMNS.map(col => csvField(row[col])).join(',')))
+      .join('\r\n');
+    files.push({
+      name: 'manifest.json',
+      data: JSON.stringify({
+        createdAt: new Date().toISOString(),
+        mode: convert ? 'convert' : 'original',
+        preset: convert ? getPreset(presetId).id : null,
+        files: manifest
+      }, null, 2)
+    });
+    files.push({ name: 'manifest.csv', data: csv });
+    if (anki) {
+      files.push({ name: 'notes.txt', data: buildAnkiNotes(manifest, deckName) });
+      files.push({ name: 'README.txt', data: ANKI_README });
+    }
+
+    const zipBytes = createZip(files);
+    log('[Offscreen] ZIP built:', files.length, 'entries,', zipBytes.length, 'bytes');
+
+    const fileCount = files.length - extraFiles.length;
+    sendCompletion(job, {
+      type: 'ZIP_BUILD_COMPLETE',
+      ok: true,
+      fileCount,
+      failedCount: manifest.length - fileCount,
+      failedUrls: manifest.filter(row => row.status === 'failed').map(row => row.fileUrl),
+      size: zipBytes.byteLength,
+      blobUrl: createOutputUrl(zipBytes, 'application/zip')
+    });
+  } catch (error) {
+    if (!error.cancelled) logError('[Offscreen] ZIP build error:', error);
+    sendCompletion(job, { type: 'ZIP_BUILD_COMPLETE', ok: false, error: error.message, cancelled: error.cancelled === true });
+  }
+}
+
+// Load ffmpeg now so the first real conversion doesn't pay for it
+async function handlePrewarm(job, msg) {
+  try {
+    await scheduleFfmpeg(() => loadFFmpeg(msg.core));
+    sendCompletion(job, { type: 'FFMPEG_PREWARM_COMPLETE', ok: true });
+  } catch (error) {
+    sendCompletion(job, { type: 'FFMPEG_PREWARM_COMPLETE', ok: false, error: error.message });
+  }
+}
+
+// Listen for the background's Port; it stays open and carries many jobs
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== 'ffmpeg') return;
+  
+  log('[Offscreen] FFmpeg Port connected');
+  const jobs = new Map();
+  
+  // Jobs run concurrently; each reply is matched by its job ID
+  const run = async (msg, handler) => {
+    const job = createJob(port, msg.jobId);
+    jobs.set(job.id, job);
+    runningJobs++;
+    try {
+      await handler(job, msg);
+    } finally {
+      jobs.delete(job.id);
+      runningJobs--;
+    }
+  };
+  
+  port.onMessage.addListener(msg => {
+    log('[Offscreen] Received Port message:', msg?.type, msg?.jobId);
+    
+    if (msg?.type === "FFMPEG_TRANSCODE") {
+      run(msg, handleTranscode);
+    } else if (msg?.type === "SOURCE_FETCH") {
+      run(msg, handleSourceFetch);
+    } else if (msg?.type === "ZIP_BUILD") {
+      run(msg, handleZipBuild);
+    } else if (msg?.type === "FFMPEG_PREWARM") {
+      run(msg, handlePrewarm);
+    } else if (msg?.type === "FFMPEG_CANCEL") {
+      cancelJob(jobs.get(msg.jobId));
+    } else {
+      log('[Offscreen] Ignoring unknown message:', msg?.type);
+      // Reply as that request's completion so the background settles it right away
+      port.postMessage({ type: `${msg?.type}_COMPLETE`, jobId: msg?.jobId, ok: false, error: 'Unknown message type' });
     }
   });
   
   port.onDisconnect.addListener(() => {
     log('[Offscreen] FFmpeg Port disconnected');
+    // Nobody is waiting for these results any more (e.g. the service worker stopped)
+    for (const job of jobs.values()) cancelJob(job);
   });
 });
 
-// Keep ping message handler for readiness checks
+// Ping handler for readiness checks and the background's idle check
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   log('[Offscreen] Received message:', msg?.type);
   
   // Handle ping messages to check readiness
   if (msg?.type === "OFFSCREEN_PING") {
     log('[Offscreen] Received ping, responding with readiness status');
-    sendResponse({ ready: true, loaded: loaded });
+    sendResponse({ ready: true, loaded, core: loadedCore, multiThreadAvailable, jobs: runningJobs, blobUrls: blobUrlTimers.size });
     return true; // Keep message channel open for async response
   }
   
+  // Background is done with a blob URL (download finished or failed)
+  if (msg?.type === "REVOKE_BLOB_URL") {
+    revokeOutputUrl(msg.url);
+    sendResponse({ ok: true });
+    return false;
+  }
+  
   // All other messages are ignored in the new Port-based system
   return false;
 });
\ No newline at end of file
@@ -1,17 +1,80 @@
 // Popup script for settings management
 
+import { OUTPUT_PRESETS, DEFAULT_PRESET_ID, DEFAULT_PROCESSING } from './presets.js';
+import { DEFAULT_CACHE_LIMIT_MB, cacheStats, clearCache, trimCache } from './audio-cache.js';
+
 const radios = [...document.querySelectorAll('input[name="mode"]')];
 const wavWarning = document.getElementById('wav-warning');
+const presetContainer = document.getElementById('preset-container');
+const presetSelect = document.getElementById('preset');
+const normalizeBox = document.getElementById('normalize');
+const targetLufsInput = document.getElementById('target-lufs');
+const trimSilenceBox = document.getElementById('trim-silence');
+const silenceThresholdInput = document.getElementById('silence-threshold');
+const prewarmBox = document.getElementById('prewarm-converter');
+const idleMinutesInput = document.getElementById('converter-idle');
+const coreSelect = document.getElementById('ffmpeg-core');
+const coreStatus = document.getElementById('core-status');
+const cacheLimitInput = document.getElementById('cache-limit');
+const cacheStatsText = document.getElementById('cache-stats');
+const metadataSelect = document.getElementById('metadata-output');
+const templateInput = document.getElementById('filename-template');
+const languagesInput = document.getElementById('preferred-languages');
+const accentsInput = document.getElementById('preferred-accents');
+const hideOthersBox = document.getElementById('hide-other-languages');
+const concurrencyInput = document.getElementById('queue-concurrency');
+const retriesInput = document.getElementById('queue-retries');
+const skipDownloadedBox = document.getElementById('skip-downloaded');
+const historySearch = document.getElementById('history-search');
+const historyList = document.getElementById('history-list');
 const status = document.getElementById('status');
 
+// Populate preset dropdown from the shared preset table
+for (const [id, preset] of Object.entries(OUTPUT_PRESETS)) {
+  presetSelect.add(new Option(preset.label, id));
+}
+
 let statusTimerId = null;
 
 // Load settings on popup open
 async function loadSettings() {
   try {
-    const { mode = 'original' } = await chrome.storage.sync.get({ mode: 'original' });
-    const radio = radios.find(r => r.value === mode);
+    const settings = await chrome.storage.sync.get({
+      mode: 'original',
+      preset: DEFAULT_PRESET_ID,
+      metadataOutput: 'none',
+      filenameTemplate: '',
+      preferredLanguages: '',
+      preferredAccents: '',
+      hideOtherLanguages: false,
+      queueConcurrency: 2,
+      queueMaxRetries: 3,
+      skipDownloaded: false,
+      prewarmConverter: false,
+      converterIdleMinutes: 5,
+      ffmpegCore: 'auto',
+      cacheLimitMb: DEFAULT_CACHE_LIMIT_MB,
+      ...DEFAULT_PROCESSING
+    });
+    const radio = radios.find(r => r.value === settings.mode);
     if (radio) radio.checked = true;
+    presetSelect.value = OUTPUT_PRESETS[settings.preset] ? settings.preset : DEFAULT_PRESET_ID;
+    normalizeBox.checked = settings.normalize;
+    targetLufsInput.value = settings.targetLufs;
+    trimSilenceBox.checked = settings.trimSilence;
+    silenceThresholdInput.value = settings.silenceThresholdDb;
+    prewarmBox.checked = settings.prewarmConverter;
+    idleMinutesInput.value = settings.converterIdleMinutes;
+    coreSelect.value = settings.ffmpegCore;
+    cacheLimitInput.value = settings.cacheLimitMb;
+    metadataSelect.value = settings.metadataOutput;
+    templateInput.value = settings.filenameTemplate;
+    languagesInput.value = settings.preferredLanguages;
+    accentsInput.value = settings.preferredAccents;
+    hideOthersBox.checked = settings.hideOtherLanguages;
+    concurrencyInput.value = settings.queueConcurrency;
+    retriesInput.value = settings.queueMaxRetries;
+    skipDownloadedBox.checked = settings.skipDownloaded;
     updateWarningVisibility();
   } catch (error) {
     console.error('Failed to load settings:', error);
@@ -19,16 +82,36 @@ async function loadSettings() {
   }
 }
 
-// Save settings when radio changes
+// Save settings when any control changes
 async function saveSettings() {
   try {
     const selectedRadio = radios.find(r => r.checked);
     const mode = selectedRadio ? selectedRadio.value : 'original';
+    const next = {
+      mode,
+      preset: presetSelect.value,
+      normalize: normalizeBox.checked,
+      targetLufs: readNumber(targetLufsInput, DEFAULT_PROCESSING.targetLufs),
+      trimSilence: trimSilenceBox.checked,
+      silenceThresholdDb: readNumber(silenceThresholdInput, DEFAULT_PROCESSING.silenceThresholdDb),
+      prewarmConverter: prewarmBox.checked,
+      converterIdleMinutes: readNumber(idleMinutesInput, 5),
+      ffmpegCore: coreSelect.value,
+      cacheLimitMb: readNumber(cacheLimitInput, DEFAULT_CACHE_LIMIT_MB),
+      metadataOutput: metadataSelect.value,
+      filenameTemplate: templateInput.value.trim(),
+      preferredLanguages: languagesInput.value.trim(),
+      preferredAccents: accentsInput.value.trim(),
+      hideOtherLanguages: hideOthersBox.checked,
+      queueConcurrency: readNumber(concurrencyInput, 2),
+      queueMaxRetries: readNumber(retriesInput, 3),
+      skipDownloaded: skipDownloadedBox.checked
+    };
 
     // Only write if changed
-    const { mode: current = 'original' } = await chrome.storage.sync.get({ mode: 'original' });
-    if (mode !== current) {
-      await chrome.storage.sync.set({ mode });
+    const current = await chrome.storage.sync.get(Object.keys(next));
+    if (Object.keys(next).some(key => next[key] !== current[key])) {
+      await chrome.storage.sync.set(next);
       showStatus('Settings saved!', 'success');
     }
 
@@ -39,11 +122,26 @@ async function saveSettings() {
   }
 }
 
+// Read a number input, clamped to its min/max, or the fallback if invalid
+function readNumber(input, fallback) {
+  const value = Number(input.value);
+  if (input.value === '' || !Number.isFinite(value)) {
+    input.value = fallback;
+    return fallback;
+  }
+  const clamped = Math.min(Number(input.max), Math.max(Number(input.min), value));
+  input.value = clamped;
+  return clamped;
+}
+
 // Show/hide warning based on selected mode
 function updateWarningVisibility() {
   const selectedRadio = radios.find(r => r.checked);
   const mode = selectedRadio ? selectedRadio.value : 'original';
   wavWarning.classList.toggle('show', mode === 'convert');
+  presetContainer.classList.toggle('show', mode === 'convert');
+  targetLufsInput.disabled = !normalizeBox.checked;
+  silenceThresholdInput.disabled = !trimSilenceBox.checked;
 }
 
 // Show status message
@@ -61,8 +159,192 @@ function showStatus(message, type, duration = 2000) {
   }, duration);
 }
 
+// ============== DOWNLOAD HISTORY ==============
+
+const HISTORY_DISPLAY_LIMIT = 100;
+let history = [];
+
+async function loadHistory() {
+  const { downloadHistory = [] } = await chrome.storage.local.get({ downloadHistory: [] });
+  history = downloadHistory;
+  renderHistory();
+}
+
+function matchingHistory() {
+  const query = historySearch.value.trim().toLowerCase();
+  if (!query) return history;
+  return history.filter(entry =>
+    [entry.word, entry.language, entry.accent, entry.fileTitle, entry.filename]
+      .some(field => (field || '').toLowerCase().includes(query)));
+}
+
+function renderHistory() {
+  const matches = matchingHistory();
+  historyList.textContent = '';
+  if (!matches.length) {
+    const empty = document.createElement('div');
+    empty.className = 'history-empty';
+    empty.textContent = history.length ? 'No matching downloads' : 'Nothing downloaded yet';
+    historyList.appendChild(empty);
+    return;
+  }
+
+  for (const entry of matches.slice(0, HISTORY_DISPLAY_LIMIT)) {
+    const row = document.createElement('div');
+    row.className = 'history-entry';
+
+    const text = document.createElement('div');
+    text.className = 'history-text';
+    const name = document.createElement('div');
+    name.className = 'history-name';
+    name.textContent = entry.word ? `${entry.word} · ${entry.fileTitle}` : entry.fileTitle;
+    name.title = entry.archive ? `${entry.filename} (in ${entry.archive})` : entry.filename;
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = [
+      entry.language,
+      entry.mode === 'convert' ? OUTPUT_PRESETS[entry.preset]?.label || entry.preset : 'Original',
+      new Date(entry.date).toLocaleDateString()
+    ].filter(Boolean).join(' · ');
+    text.append(name, meta);
+
+    const again = document.createElement('button');
+    again.className = 'link-button';
+    again.textContent = 'Re-download';
+    again.addEventListener('click', () => redownload(entry, again));
+
+    row.append(text, again);
+    historyList.appendChild(row);
+  }
+}
+
+// Same message the page panel sends, with the preset the entry was made with
+async function redownload(entry, button) {
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'DOWNLOAD_AUDIO',
+      url: entry.url,
+      sha1: entry.sha1,
+      originalFilename: entry.originalFilename,
+      mode: entry.mode,
+      preset: entry.preset,
+      metadata: entry.metadata
+    });
+    if (!response?.ok) throw new Error(response?.error || 'Download failed');
+    showStatus('Download started', 'success');
+  } catch (error) {
+    console.error('Re-download failed:', error);
+    showStatus('Re-download failed', 'error', 3000);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+const HISTORY_CSV_COLUMNS = ['date', 'word', 'language', 'accent', 'fileTitle', 'filename', 'archive', 'mode', 'preset', 'url'];
+
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportHistory() {
+  const rows = matchingHistory().map(entry => HISTORY_CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+  const csv = [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `wiktionary-audio-history-${new Date().toISOString().slice(0, 10)}.csv`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function clearHistory() {
+  if (!history.length || !confirm(`Clear ${history.length} history entries?`)) return;
+  await chrome.storage.local.remove('downloadHistory');
+  showStatus('History cleared', 'success');
+}
+
+historySearch.addEventListener('input', renderHistory);
+document.getElementById('export-history').addEventListener('click', exportHistory);
+document.getElementById('clear-history').addEventListener('click', clearHistory);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.downloadHistory) loadHistory();
+});
+
+// ============== AUDIO CACHE ==============
+
+async function loadCacheStats() {
+  try {
+    const { count, bytes } = await cacheStats();
+    cacheStatsText.textContent = count
+      ? `${count} clip${count === 1 ? '' : 's'}, ${(bytes / (1024 * 1024)).toFixed(1)} MB`
+      : 'Empty';
+  } catch (error) {
+    console.error('Could not read cache size:', error);
+    cacheStatsText.textContent = '';
+  }
+}
+
+// A smaller limit applies right away instead of waiting for the next download
+async function applyCacheLimit() {
+  try {
+    await trimCache(readNumber(cacheLimitInput, DEFAULT_CACHE_LIMIT_MB) * 1024 * 1024);
+  } catch (error) {
+    console.error('Could not trim cache:', error);
+  }
+  loadCacheStats();
+}
+
+async function clearAudioCache() {
+  try {
+    await clearCache();
+    showStatus('Cache cleared', 'success');
+  } catch (error) {
+    console.error('Could not clear cache:', error);
+    showStatus('Could not clear cache', 'error', 3000);
+  }
+  loadCacheStats();
+}
+
+cacheLimitInput.addEventListener('change', applyCacheLimit);
+document.getElementById('clear-cache').addEventListener('click', clearAudioCache);
+
+const CORE_LABELS = { multi: 'multi-threaded', single: 'single-threaded' };
+
+// Which ffmpeg core the converter is running (asking never starts it)
+async function loadConverterStatus() {
+  try {
+    const status = await chrome.runtime.sendMessage({ type: 'GET_CONVERTER_STATUS' });
+    if (!status?.loaded) {
+      coreStatus.textContent = 'Not loaded; FFmpeg starts with the next conversion.';
+      return;
+    }
+    const notes = [];
+    if (!status.multiThreadAvailable) notes.push('multi-threading unavailable without cross-origin isolation');
+    if (coreSelect.value !== 'auto' && coreSelect.value !== status.core) notes.push('switches on the next conversion');
+    coreStatus.textContent = `Active: ${CORE_LABELS[status.core] || status.core} core${notes.length ? ` (${notes.join('; ')})` : ''}.`;
+  } catch (error) {
+    console.error('Could not read converter status:', error);
+    coreStatus.textContent = '';
+  }
+}
+
 // Event listeners
 radios.forEach(r => r.addEventListener('change', saveSettings));
+[
+  presetSelect, normalizeBox, targetLufsInput, trimSilenceBox, silenceThresholdInput,
+  prewarmBox, idleMinutesInput, coreSelect, cacheLimitInput,
+  metadataSelect, templateInput, languagesInput, accentsInput, hideOthersBox,
+  concurrencyInput, retriesInput, skipDownloadedBox
+].forEach(el => el.addEventListener('change', saveSettings));
+coreSelect.addEventListener('change', loadConverterStatus);
+
+document.getElementById('open-bulk').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('bulk.html') });
+});
 
 // Initialize
-loadSettings();
\ No newline at end of file
+loadSettings().then(loadConverterStatus);
+loadCacheStats();
+loadHistory();
\ No newline at end of file
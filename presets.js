@@ -0,0 +1,103 @@
+// Output presets for convert mode (shared by background, offscreen and popup)
+
+// Each preset describes the ffmpeg output arguments plus the extension and
+// MIME type the service worker uses when saving the result.
+export const OUTPUT_PRESETS = {
+  'wav-48k-s16': {
+    label: 'WAV · 16-bit · 48 kHz mono',
+    ext: 'wav',
+    mime: 'audio/wav',
+    args: ['-ac', '1', '-ar', '48000', '-c:a', 'pcm_s16le']
+  },
+  'wav-22k-s16': {
+    label: 'WAV · 16-bit · 22.05 kHz mono',
+    ext: 'wav',
+    mime: 'audio/wav',
+    args: ['-ac', '1', '-ar', '22050', '-c:a', 'pcm_s16le']
+  },
+  'wav-16k-s16': {
+    label: 'WAV · 16-bit · 16 kHz mono',
+    ext: 'wav',
+    mime: 'audio/wav',
+    args: ['-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le']
+  },
+  'wav-48k-s24': {
+    label: 'WAV · 24-bit · 48 kHz mono',
+    ext: 'wav',
+    mime: 'audio/wav',
+    args: ['-ac', '1', '-ar', '48000', '-c:a', 'pcm_s24le']
+  },
+  'wav-48k-f32': {
+    label: 'WAV · 32-bit float · 48 kHz mono',
+    ext: 'wav',
+    mime: 'audio/wav',
+    args: ['-ac', '1', '-ar', '48000', '-c:a', 'pcm_f32le']
+  },
+  'flac-48k': {
+    label: 'FLAC · 48 kHz mono',
+    ext: 'flac',
+    mime: 'audio/flac',
+    args: ['-ac', '1', '-ar', '48000', '-c:a', 'flac']
+  },
+  'mp3-128k': {
+    label: 'MP3 · 128 kbps',
+    ext: 'mp3',
+    mime: 'audio/mpeg',
+    args: ['-ac', '1', '-ar', '44100', '-c:a', 'libmp3lame', '-b:a', '128k']
+  },
+  'mp3-192k': {
+    label: 'MP3 · 192 kbps',
+    ext: 'mp3',
+    mime: 'audio/mpeg',
+    args: ['-ac', '1', '-ar', '44100', '-c:a', 'libmp3lame', '-b:a', '192k']
+  },
+  'opus-64k': {
+    label: 'Opus · 64 kbps',
+    ext: 'opus',
+    mime: 'audio/ogg',
+    args: ['-ac', '1', '-ar', '48000', '-c:a', 'libopus', '-b:a', '64k']
+  }
+};
+
+// Matches the output produced before presets existed
+export const DEFAULT_PRESET_ID = 'wav-48k-s16';
+
+// Look up a preset, falling back to the default for unknown/stale IDs
+export function getPreset(presetId) {
+  const id = OUTPUT_PRESETS[presetId] ? presetId : DEFAULT_PRESET_ID;
+  return { id, ...OUTPUT_PRESETS[id] };
+}
+
+// Optional processing applied before encoding (stored alongside the preset)
+export const DEFAULT_PROCESSING = {
+  normalize: false,        // EBU R128 loudness normalization
+  targetLufs: -23,         // Integrated loudness target (LUFS)
+  trimSilence: false,      // Trim leading/trailing silence
+  silenceThresholdDb: -50  // Level below which audio counts as silence (dBFS)
+};
+
+const clamp = (value, min, max, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+};
+
+// Build the ffmpeg -af filter chain for the given processing options.
+// Returns an empty array when no processing is enabled.
+export function buildFilterArgs(processing = {}) {
+  const opts = { ...DEFAULT_PROCESSING, ...processing };
+  const filters = [];
+
+  if (opts.trimSilence) {
+    const threshold = clamp(opts.silenceThresholdDb, -90, -10, DEFAULT_PROCESSING.silenceThresholdDb);
+    const trimStart = `silenceremove=start_periods=1:start_threshold=${threshold}dB:start_silence=0.05`;
+    // silenceremove only trims reliably from the start, so reverse to trim the tail
+    filters.push(trimStart, 'areverse', trimStart, 'areverse');
+  }
+
+  if (opts.normalize) {
+    const target = clamp(opts.targetLufs, -70, -5, DEFAULT_PROCESSING.targetLufs);
+    filters.push(`loudnorm=I=${target}:TP=-1.5:LRA=11`);
+  }
+
+  return filters.length ? ['-af', filters.join(',')] : [];
+}
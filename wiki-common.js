@@ -0,0 +1,143 @@
+// Wiki helpers shared by the content script, the bulk page and the service worker
+// Kept free of DOM APIs. Pages load it as a classic script before discovery.js,
+// so its functions are plain globals there; the service worker imports it as a
+// module and reads them from globalThis.wikiCommon (see the end of this file).
+
+// ============== FILES ==============
+
+// Enhanced audio format detection
+function isAudioFile(filename, mimeType) {
+  // Primary: MIME type detection
+  if (mimeType) {
+    const audioMimeTypes = [
+      'audio/mpeg',     // MP3
+      'audio/mp3',      // MP3 (alternative)
+      'audio/ogg',      // OGG Vorbis/Opus
+      'audio/wav',      // WAV
+      'audio/wave',     // WAV (alternative)
+      'audio/webm',     // WebM Audio
+      'audio/mp4',      // M4A/AAC in MP4
+      'audio/aac',      // AAC
+      'audio/x-aac',    // AAC (alternative)
+      'audio/flac',     // FLAC
+      'audio/x-flac',   // FLAC (alternative)
+      'audio/opus',     // Opus
+      'audio/3gpp',     // 3GP audio
+      'audio/amr',      // AMR
+      'audio/x-ms-wma', // WMA
+      'video/ogg',      // OGV with audio (Theora+Vorbis)
+      'video/webm'      // WebM with audio
+    ];
+    if (audioMimeTypes.includes(mimeType.toLowerCase())) {
+      return true;
+    }
+  }
+  
+  // Fallback: Extended file extension matching
+  if (filename && typeof filename === "string") {
+    return /\.(ogg|oga|opus|mp3|wav|wave|webm|m4a|aac|flac|wma|amr|3gp|3ga)$/i.test(filename);
+  }
+  
+  return false;
+}
+
+// ============== PAGE IDENTITY ==============
+
+// Desktop host for a mobile one ("en.m.wiktionary.org" → "en.wiktionary.org")
+function canonicalHost(host) {
+  return host.replace(/^([^.]+)\.m\./, "$1.");
+}
+
+// Edition language of a host ("de.m.wiktionary.org" → "de"); "" for Commons
+function hostLanguage(host) {
+  const subdomain = canonicalHost(host).split(".")[0];
+  return /^[a-z]{2,3}(-[a-z]+)*$/.test(subdomain) ? subdomain : "";
+}
+
+// What a URL names before asking the API: a title, a page ID or a revision ID.
+// Handles /wiki/<title>, /w/index.php?title=…, ?curid=…, ?oldid=… and ?diff=…
+function parsePageUrl(href) {
+  const url = new URL(href);
+  const params = url.searchParams;
+  const pathTitle = url.pathname.match(/^\/wiki\/(.+)$/);
+  let title = params.get("title") || "";
+  if (!title && pathTitle) {
+    try {
+      title = decodeURIComponent(pathTitle[1]);
+    } catch (error) {
+      title = pathTitle[1];
+    }
+  }
+  // diff may also be "prev"/"next"/"cur", which name no revision by themselves
+  const revId = [params.get("oldid"), params.get("diff")].find(id => /^\d+$/.test(id || "")) || "";
+  const pageId = /^\d+$/.test(params.get("curid") || "") ? params.get("curid") : "";
+  return { host: canonicalHost(url.host), title: title.replace(/_/g, " ").trim(), pageId, revId };
+}
+
+// ============== METADATA ==============
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+// Named entities Commons uses plus any numeric one (&#39; &#x27;)
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] !== "#") return HTML_ENTITIES[name.toLowerCase()] ?? match;
+    const code = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+  });
+}
+
+// Plain-text value of an extmetadata field (Commons values may contain HTML).
+// No DOMParser here: the service worker has no DOM.
+function extmetadataText(extmetadata, key) {
+  const raw = extmetadata?.[key]?.value;
+  if (raw == null || raw === "") return "";
+  return decodeHtmlEntities(String(raw).replace(/<[^>]*>/g, "")).replace(/\s+/g, " ").trim();
+}
+
+// Attribution details sent with each download for sidecar/embedded tags.
+// page: { title, host, url } of the wiki page the item was found on.
+function buildItemMetadata(item, page) {
+  const meta = item.license || {};
+  return {
+    word: item.word || page.title,
+    wiki: page.host,
+    hostLang: hostLanguage(page.host),
+    pageUrl: page.url,
+    language: item.language || "",
+    accent: item.accent || "",
+    ipa: item.ipa || "",
+    ipaAccent: item.ipaAccent || "",
+    fileTitle: item.title,
+    fileUrl: item.url,
+    sourceUrl: item.descriptionUrl || "",
+    artist: extmetadataText(meta, "Artist"),
+    credit: extmetadataText(meta, "Credit"),
+    licenseShortName: extmetadataText(meta, "LicenseShortName"),
+    licenseUrl: extmetadataText(meta, "LicenseUrl"),
+    attributionRequired: extmetadataText(meta, "AttributionRequired") === "true"
+  };
+}
+
+function buildDownloadMessage(item, mode, page) {
+  return {
+    type: 'DOWNLOAD_AUDIO',
+    url: item.url,
+    sha1: item.sha1 || '',
+    originalFilename: item.filename,
+    mode,
+    index: item.index,
+    metadata: buildItemMetadata(item, page)
+  };
+}
+
+// In a module top-level declarations aren't globals, so hand them over explicitly
+globalThis.wikiCommon = {
+  isAudioFile,
+  canonicalHost,
+  hostLanguage,
+  parsePageUrl,
+  extmetadataText,
+  buildItemMetadata,
+  buildDownloadMessage
+};